@@ -1,6 +1,12 @@
 import { TdClientActor, TdClientActorOptions } from "./td_client_actor"
+import { RateLimitOptions } from "./rate_limiter"
+
+declare export interface BotOptions extends TdClientActorOptions {
+    /** Limits of outgoing messages. Pass false to send without pacing. */
+    rate_limit?: RateLimitOptions | false;
+}
 
 declare export class Bot extends TdClientActor {
-    constructor(api_id: number, api_hash: string, bot_token: string, use_test_dc = false, identifier?: string = null, options: TdClientActorOptions);
+    constructor(api_id: number, api_hash: string, bot_token: string, use_test_dc = false, identifier?: string = null, options: BotOptions);
 
 }
@@ -6,6 +6,8 @@ const fsp = fs.promises
 const path = require('path')
 const crypto = require('crypto')
 const { TdClientActor } = require('./td_client_actor')
+const { SendScheduler } = require('./rate_limiter')
+const { TdError, FloodWaitError, ChatNotFoundError, BadRequestError, SendFailedError, NotReadyError, ClientClosedError, TimeoutError, AbortError } = require('./errors')
 const _util = require('./util')
 
 /** 
@@ -13,6 +15,7 @@ const _util = require('./util')
  * @property {boolean} [encrypt_callback_query]
  * @property {boolean} [debug_encrypt_callback_query]
  * @property {number} [username_cache_period]
+ * @property {import('./rate_limiter').RateLimitOptions | false} [rate_limit] Limits of outgoing messages. Pass false to send without pacing.
  * @property {string} [database_directory] The path to the directory for the persistent database; if empty, the current working directory will be used.
  * @property {string} [files_directory] The path to the directory for storing files; if empty, database_directory will be used.
  * @property {boolean} [use_file_database] If set to true, information about downloaded and uploaded files will be saved between application restarts.
@@ -27,8 +30,16 @@ const _util = require('./util')
  * @property {boolean} [ignore_file_names] If set to true, original file names will be ignored. Otherwise, downloaded files will be saved under names as close as possible to the original name.
  * @property {string} [database_encryption_key] The database encryption key. Usually the encryption key is never changed and is stored in some OS keychain.
  * @property {number} [poll_timeout]
- * @property {"sync"|"async"|"fdpipe"} [polling_mode]
+ * @property {"sync"|"async"|"fdpipe"|"worker"|"push"} [polling_mode]
  * @property {boolean} [use_cache]
+ * @property {boolean|import('./message_store').MessageStoreOptions} [message_store] Keep the latest messages of every chat in memory. Edit events then carry the version before the edit.
+ * @property {boolean} [persist_cache] Write the cache and resolved usernames to the database directory on close() and restore them on start.
+ * @property {number} [request_timeout] Default timeout of run() in milliseconds. 0 means no timeout.
+ * @property {TdClientActor.FloodWaitRetryPolicy} [flood_wait_retry] Retry requests rejected with 429 Too Many Requests. Disabled if not set.
+ * @property {import('./logger').Logger} [logger] Logger with debug/info/warn/error methods. Entries are written to the console if not set.
+ * @property {number} [tdlib_log_verbosity] Verbosity level of the internal TDLib log. TDLib defaults to 5.
+ * @property {string|false} [tdlib_log_file] Path to write the internal TDLib log to. An empty string means stderr, false discards the log.
+ * @property {number} [tdlib_log_max_file_size] Size in bytes after which the TDLib log file is rotated. Defaults to 10 MB.
 
  */
 
@@ -72,6 +83,12 @@ class Bot extends TdClientActor {
         this._debug_encrypt_callback_query = !!options.debug_encrypt_callback_query
         this._username_cache_period = options.username_cache_period || 30 * 60 * 1000
         this._username_cache = new Map()
+        if (this._snapshot && this._snapshot.usernames) {
+            for (const [username, cached_chat] of this._snapshot.usernames) {
+                if (Date.now() - cached_chat.timestamp < this._username_cache_period) this._username_cache.set(username, cached_chat)
+            }
+        }
+        this._send_scheduler = options.rate_limit === false ? null : new SendScheduler(options.rate_limit || {})
         let self = this
         this.ready = false
         this._inited_chat = new Set()
@@ -133,6 +150,9 @@ class Bot extends TdClientActor {
         //     }
         // }, 30000)
         this.once('ready', () => this.ready = true)
+        this.once('closed', () => {
+            if (this._send_scheduler) this._send_scheduler.clear(new ClientClosedError())
+        })
         this.once('ready', () => {
             this.run('setOption', {
                 name: 'ignore_inline_thumbnails',
@@ -157,13 +177,13 @@ class Bot extends TdClientActor {
      * @returns {Promise<BotAPITypes.User & BotAPITypes$Extended.User>}
      */
     async getMe() {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let me = await this.run('getMe', {})
         return this.conversion.buildUser(me, true)
     }
 
     async sendMessage(chat_id, text, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageText',
             disable_web_page_preview: options.disable_web_page_preview,
@@ -173,7 +193,7 @@ class Bot extends TdClientActor {
     }
 
     async forwardMessage(chat_id, from_chat_id, message_ids, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (!Array.isArray(message_ids)) message_ids = [message_ids]
         chat_id = await this._checkChatId(chat_id)
         from_chat_id = await this._checkChatId(from_chat_id)
@@ -187,7 +207,7 @@ class Bot extends TdClientActor {
         }
         await this._initChatIfNeeded(chat_id)
         await this._initChatIfNeeded(from_chat_id)
-        let ret = await this.run('forwardMessages', opt)
+        let ret = await this._scheduleSend(chat_id, () => this.run('forwardMessages', opt), options.priority, message_ids.length)
         if (ret.total_count === 1) {
             return this._waitMessageTillSent(chat_id, ret.messages[0].id)
         } else {
@@ -196,7 +216,7 @@ class Bot extends TdClientActor {
     }
 
     async sendPhoto(chat_id, photo, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessagePhoto',
             photo: await this._prepareUploadFile(photo)
@@ -209,7 +229,7 @@ class Bot extends TdClientActor {
     }
 
     async sendAudio(chat_id, audio, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageAudio',
             audio: await this._prepareUploadFile(audio, file_options.filename)
@@ -232,7 +252,7 @@ class Bot extends TdClientActor {
     }
 
     async sendDocument(chat_id, document, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageDocument',
             document: await this._prepareUploadFile(document, file_options.filename)
@@ -249,7 +269,7 @@ class Bot extends TdClientActor {
     }
 
     async sendAnimation(chat_id, animation, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageAnimation',
             animation: await this._prepareUploadFile(animation, file_options.filename)
@@ -272,7 +292,7 @@ class Bot extends TdClientActor {
     }
 
     async sendVideo(chat_id, video, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageVideo',
             video: await this._prepareUploadFile(video, file_options.filename)
@@ -299,7 +319,7 @@ class Bot extends TdClientActor {
     }
 
     async sendVoice(chat_id, voice, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageVoiceNote',
             voice_note: await this._prepareUploadFile(voice, file_options.filename)
@@ -312,7 +332,7 @@ class Bot extends TdClientActor {
     }
 
     async sendVideoNote(chat_id, video_note, options = {}, file_options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageVideoNote',
             video_note: await this._prepareUploadFile(video_note, file_options.filename)
@@ -333,7 +353,7 @@ class Bot extends TdClientActor {
     }
 
     async sendMediaGroup(chat_id, medias, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let _medias = []
         for (let md of medias) {
             if (md.type == 'photo') {
@@ -362,12 +382,12 @@ class Bot extends TdClientActor {
                 _medias.push(_md)
             }
         }
-        if (_medias.length < 2 || _medias.length > 10) throw new Error('Medias must include 2-10 items.')
+        if (_medias.length < 2 || _medias.length > 10) throw new BadRequestError('Medias must include 2-10 items.', 'sendMediaGroup')
         return this._sendMessageAlbum(chat_id, _medias, options)
     }
 
     async sendLocation(chat_id, lat, long, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageLocation',
             location: {
@@ -385,7 +405,7 @@ class Bot extends TdClientActor {
     }
 
     async editMessageLiveLocation(latitude, longitude, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -393,8 +413,8 @@ class Bot extends TdClientActor {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id)
             })
-            if (orig_msg.content['@type'] != 'messageLocation') throw new Error('Target message is not a live location.')
-            if (orig_msg.content.expires_in <= 0) throw new Error('Target live location is expired.')
+            if (orig_msg.content['@type'] != 'messageLocation') throw new BadRequestError('Target message is not a live location.', 'editMessageLiveLocation')
+            if (orig_msg.content.expires_in <= 0) throw new BadRequestError('Target live location is expired.', 'editMessageLiveLocation')
             let _opt = {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id),
@@ -426,14 +446,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editMessageLiveLocation', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editMessageLiveLocation', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'editMessageLiveLocation')
         }
     }
 
     async stopMessageLiveLocation(options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -441,8 +461,8 @@ class Bot extends TdClientActor {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id)
             })
-            if (orig_msg.content['@type'] != 'messageLocation') throw new Error('Target message is not a live location.')
-            if (orig_msg.content.expires_in <= 0) throw new Error('Target live location is expired.')
+            if (orig_msg.content['@type'] != 'messageLocation') throw new BadRequestError('Target message is not a live location.', 'stopMessageLiveLocation')
+            if (orig_msg.content.expires_in <= 0) throw new BadRequestError('Target live location is expired.', 'stopMessageLiveLocation')
             let _opt = {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id),
@@ -468,14 +488,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editMessageLiveLocation', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editMessageLiveLocation', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'stopMessageLiveLocation')
         }
     }
 
     async sendVenue(chat_id, lat, long, title, address, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageVenue',
             venue: {
@@ -494,7 +514,7 @@ class Bot extends TdClientActor {
     }
 
     async sendContact(chat_id, phone_number, first_name, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageContact',
             contact: {
@@ -508,8 +528,8 @@ class Bot extends TdClientActor {
     }
 
     async sendPoll(chat_id, question, poll_options, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
-        if (chat_id > 0) throw new Error('A native poll can\'t be sent to a private chat. ')
+        if (!this.ready) throw new NotReadyError()
+        if (chat_id > 0) throw new BadRequestError('A native poll can\'t be sent to a private chat. ', 'sendPoll')
         let media = {
             '@type': 'inputMessagePoll',
             question,
@@ -519,14 +539,14 @@ class Bot extends TdClientActor {
     }
 
     async stopPoll(chat_id, message_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let orig_msg = await this.run('getMessage', {
             chat_id: chat_id,
             message_id: _util.get_tdlib_message_id(message_id)
         })
-        if (orig_msg.content['@type'] != 'messagePoll') throw new Error('Target message is not a poll.')
+        if (orig_msg.content['@type'] != 'messagePoll') throw new BadRequestError('Target message is not a poll.', 'stopPoll')
         let _opt = {
             chat_id: chat_id,
             message_id: _util.get_tdlib_message_id(message_id)
@@ -546,11 +566,11 @@ class Bot extends TdClientActor {
             })
             return this.conversion.buildPoll(fin_msg.content.poll)
         }
-        else throw ret
+        else throw TdError.fromResponse(ret, 'stopPoll', _opt)
     }
 
     async sendChatAction(chat_id, action) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -559,11 +579,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('sendChatAction', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'sendChatAction', opt)
     }
 
     async getUserProfilePhotos(user_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             user_id,
             offset: options.offset || 0,
@@ -574,7 +594,7 @@ class Bot extends TdClientActor {
     }
 
     async kickChatMember(chat_id, user_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         user_id = await this._checkChatId(user_id)
         await this._initChatIfNeeded(chat_id)
@@ -591,11 +611,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setChatMemberStatus', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatMemberStatus', opt)
     }
 
     async unbanChatMember(chat_id, user_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         user_id = await this._checkChatId(user_id)
         await this._initChatIfNeeded(chat_id)
@@ -609,11 +629,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setChatMemberStatus', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatMemberStatus', opt)
     }
 
     async restrictChatMember(chat_id, user_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         user_id = await this._checkChatId(user_id)
         await this._initChatIfNeeded(chat_id)
@@ -634,11 +654,11 @@ class Bot extends TdClientActor {
 
         let ret = await this.run('setChatMemberStatus', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatMemberStatus', opt)
     }
 
     async promoteChatMember(chat_id, user_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         user_id = await this._checkChatId(user_id)
         await this._initChatIfNeeded(chat_id)
@@ -660,11 +680,11 @@ class Bot extends TdClientActor {
 
         let ret = await this.run('setChatMemberStatus', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatMemberStatus', opt)
     }
 
     async exportChatInviteLink(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -675,7 +695,7 @@ class Bot extends TdClientActor {
     }
 
     async setChatPhoto(chat_id, photo) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -684,11 +704,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setChatPhoto', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatPhoto', opt)
     }
 
     async deleteChatPhoto(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -697,11 +717,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setChatPhoto', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatPhoto', opt)
     }
 
     async setChatTitle(chat_id, title) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -710,13 +730,13 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setChatTitle', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setChatTitle', opt)
     }
 
     async setChatDescription(chat_id, description) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
-        if (chat_id > -Math.pow(10, 12)) throw new Error('Not a supergroup or channel.')
+        if (chat_id > -Math.pow(10, 12)) throw new BadRequestError('Not a supergroup or channel.', 'setChatDescription')
         await this._initChatIfNeeded(chat_id)
         let opt = {
             supergroup_id: Math.abs(chat_id) - Math.pow(10, 12),
@@ -724,11 +744,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('setSupergroupDescription', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setSupergroupDescription', opt)
     }
 
     async pinChatMessage(chat_id, message_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         message_id = _util.get_tdlib_message_id(message_id)
@@ -739,11 +759,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('pinChatMessage', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'pinChatMessage', opt)
     }
 
     async unpinChatMessage(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -751,11 +771,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('unpinChatMessage', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'unpinChatMessage', opt)
     }
 
     async leaveChat(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -763,21 +783,21 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('leaveChat', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'leaveChat', opt)
     }
 
     async getUser(user_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         return this._getUser(user_id)
     }
 
     async getChat(chat_id, full = true) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         return this._getChat(chat_id, full)
     }
 
     async getChatAdministrators(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -785,16 +805,11 @@ class Bot extends TdClientActor {
         }
         if (chat_id < -Math.pow(10, 12)) {
             let supergroup_id = Math.abs(chat_id) - Math.pow(10, 12)
-            let admin_members = await this.run('getSupergroupMembers', {
-                supergroup_id,
-                filter: {
-                    '@type': 'supergroupMembersFilterAdministrators'
-                },
-                offset: 0,
-                limit: 200
-            })
+            let admin_members = await this.iterateSupergroupMembers(supergroup_id, {
+                '@type': 'supergroupMembersFilterAdministrators'
+            }).toArray()
             let admins = []
-            for (let a of admin_members.members) {
+            for (let a of admin_members) {
                 admins.push(await this.conversion.buildChatMember(a))
             }
             return admins
@@ -807,47 +822,43 @@ class Bot extends TdClientActor {
             }
             return admins
         } else {
-            throw new Error('Not a chat')
+            throw new BadRequestError('Not a chat', 'getChatAdministrators')
         }
     }
 
     async getChatMembersCount(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
-        try {
-            chat_id = await this._checkChatId(chat_id)
-            await this._initChatIfNeeded(chat_id)
-            let chat = await this.run('getChat', {
-                chat_id
+        if (!this.ready) throw new NotReadyError()
+        chat_id = await this._checkChatId(chat_id)
+        await this._initChatIfNeeded(chat_id)
+        let chat = await this.run('getChat', {
+            chat_id
+        })
+        if (chat.type['@type'] == 'chatTypeSupergroup') {
+            let additional_full = await this.run('getSupergroupFullInfo', {
+                supergroup_id: chat.type.supergroup_id
             })
-            if (chat.type['@type'] == 'chatTypeSupergroup') {
-                let additional_full = await this.run('getSupergroupFullInfo', {
-                    supergroup_id: chat.type.supergroup_id
-                })
-                return additional_full.member_count
-            } else if (chat.type['@type'] == 'chatTypeBasicGroup') {
-                let additional = await this.run('getBasicGroup', {
-                    basic_group_id: chat.type.basic_group_id
-                })
-                return additional.member_count
-            } else if (chat.type['@type'] == 'chatTypePrivate') {
-                throw new Error('Not a group or a channel.')
-            } else {
-                throw new Error('Unknown Chat Type.')
-            }
-        } catch (e) {
-            throw new Error(e.message)
+            return additional_full.member_count
+        } else if (chat.type['@type'] == 'chatTypeBasicGroup') {
+            let additional = await this.run('getBasicGroup', {
+                basic_group_id: chat.type.basic_group_id
+            })
+            return additional.member_count
+        } else if (chat.type['@type'] == 'chatTypePrivate') {
+            throw new BadRequestError('Not a group or a channel.', 'getChatMembersCount')
+        } else {
+            throw new BadRequestError('Unknown Chat Type.', 'getChatMembersCount')
         }
     }
 
     async getChatMember(chat_id, user_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         return this._getChatMember(chat_id, user_id)
     }
 
     async setChatStickerSet(chat_id, sticker_set) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let pack_id
@@ -869,11 +880,11 @@ class Bot extends TdClientActor {
 
         let ret = await this.run('setSupergroupStickerSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setSupergroupStickerSet', opt)
     }
 
     async deleteChatStickerSet(chat_id) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         let opt = {
@@ -883,7 +894,7 @@ class Bot extends TdClientActor {
 
         let ret = await this.run('setSupergroupStickerSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setSupergroupStickerSet', opt)
     }
 
     async answerCallbackQuery(callback_query_id, options = {}) {
@@ -907,11 +918,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('answerCallbackQuery', options)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'answerCallbackQuery', options)
     }
 
     async editMessageText(text, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -919,7 +930,7 @@ class Bot extends TdClientActor {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id)
             })
-            if (orig_msg.content['@type'] != 'messageText') throw new Error('Target message is not a text message.')
+            if (orig_msg.content['@type'] != 'messageText') throw new BadRequestError('Target message is not a text message.', 'editMessageText')
             let _opt = {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id),
@@ -953,14 +964,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editInlineMessageText', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editInlineMessageText', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'editMessageText')
         }
     }
 
     async editMessageCaption(caption, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -993,14 +1004,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editInlineMessageCaption', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editInlineMessageCaption', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'editMessageCaption')
         }
     }
 
     async editMessageMedia(media, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -1033,14 +1044,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editInlineMessageMedia', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editInlineMessageMedia', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'editMessageMedia')
         }
     }
 
     async editMessageReplyMarkup(reply_markup, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -1064,14 +1075,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('editInlineMessageReplyMarkup', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'editInlineMessageReplyMarkup', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'editMessageReplyMarkup')
         }
     }
 
     async deleteMessage(chat_id, message_ids) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         chat_id = await this._checkChatId(chat_id)
         await this._initChatIfNeeded(chat_id)
         if (!Array.isArray(message_ids)) message_ids = [message_ids]
@@ -1081,7 +1092,7 @@ class Bot extends TdClientActor {
         // filter out messages can be deleted
         const to_be_deleted = messages.filter(m => m && m.can_be_deleted_for_all_users).map(m => m.id)
         if (to_be_deleted.length === 0) return true
-        if (to_be_deleted.length > 100) throw new Error('Too many messages.')
+        if (to_be_deleted.length > 100) throw new BadRequestError('Too many messages.', 'deleteMessage')
         let _opt = {
             chat_id,
             message_ids: to_be_deleted,
@@ -1090,11 +1101,11 @@ class Bot extends TdClientActor {
         let ret = await this.run('deleteMessages', _opt)
         if (ret['@type'] == 'ok')
             return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'deleteMessages', _opt)
     }
 
     async sendSticker(chat_id, sticker, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageSticker',
             sticker: await this._prepareUploadFile(sticker)
@@ -1103,7 +1114,7 @@ class Bot extends TdClientActor {
     }
 
     async getStickerSet(name) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let pack
         if (isNaN(name)) {
             // is Name
@@ -1120,7 +1131,7 @@ class Bot extends TdClientActor {
     }
 
     async uploadStickerFile(user_id, png_sticker) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             user_id,
             png_sticker: await this._prepareUploadFile(png_sticker)
@@ -1131,7 +1142,7 @@ class Bot extends TdClientActor {
 
     // incompability
     async createNewStickerSet(user_id, name, title, stickers, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             user_id,
             name,
@@ -1149,11 +1160,11 @@ class Bot extends TdClientActor {
         opt.stickers = stks
         let ret = await this.run('createNewStickerSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'createNewStickerSet', opt)
     }
 
     async addStickerToSet(user_id, name, png_sticker, emojis, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             user_id,
             name,
@@ -1167,30 +1178,30 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('addStickerToSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'addStickerToSet', opt)
     }
 
     async setStickerPositionInSet(sticker, position) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             sticker: await this._prepareUploadFile(sticker),
             position
         }
-        if (opt.sticker['@type'] != 'inputFileRemote') throw new Error('Only sticker file_id is acceptable.')
+        if (opt.sticker['@type'] != 'inputFileRemote') throw new BadRequestError('Only sticker file_id is acceptable.', 'setStickerPositionInSet')
         let ret = await this.run('setStickerPositionInSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setStickerPositionInSet', opt)
     }
 
     async deleteStickerFromSet(sticker) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let opt = {
             sticker: await this._prepareUploadFile(sticker),
         }
-        if (opt.sticker['@type'] != 'inputFileRemote') throw new Error('Only sticker file_id is acceptable.')
+        if (opt.sticker['@type'] != 'inputFileRemote') throw new BadRequestError('Only sticker file_id is acceptable.', 'deleteStickerFromSet')
         let ret = await this.run('removeStickerFromSet', opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'removeStickerFromSet', opt)
     }
 
     async answerInlineQuery(inline_query_id, results, options = {}) {
@@ -1201,11 +1212,11 @@ class Bot extends TdClientActor {
         }
         let ret = await this.run('answerInlineQuery', options)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'answerInlineQuery', options)
     }
 
     async sendInvoice(chat_id, title, description, payload, provider_token, start_parameter, currency, prices, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let media = {
             '@type': 'inputMessageInvoice',
             title,
@@ -1259,13 +1270,13 @@ class Bot extends TdClientActor {
                 })
             }
         } else if (!options.error_message) {
-            throw new Error('When ok is false, you must specify error message.')
+            throw new BadRequestError('When ok is false, you must specify error message.', 'answerShippingQuery')
         } else {
             _opt.error_message = options.error_message
         }
         let ret = await this.run('answerShippingQuery', _opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'answerShippingQuery', _opt)
     }
 
     async answerPreCheckoutQuery(pre_checkout_query_id, ok, options = {}) {
@@ -1275,16 +1286,21 @@ class Bot extends TdClientActor {
         if (ok) {
             _opt.error_message = ''
         } else if (!options.error_message) {
-            throw new Error('When ok is false, you must specify error message.')
+            throw new BadRequestError('When ok is false, you must specify error message.', 'answerPreCheckoutQuery')
         } else {
             _opt.error_message = options.error_message
         }
         let ret = await this.run('answerPreCheckoutQuery', _opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'answerPreCheckoutQuery', _opt)
     }
 
-    async getFile(file_id, priority = 1) {
+    /**
+     * @param {string|number} file_id
+     * @param {number} [priority]
+     * @param {TdClientActor.RunOptions} [options] Timeout and abort signal for the download.
+     */
+    async getFile(file_id, priority = 1, options = {}) {
         let _id = file_id
         if (isNaN(file_id)) {
             let _file = await this.run('getRemoteFile', {
@@ -1300,7 +1316,7 @@ class Bot extends TdClientActor {
             }
         } else {
             _id = parseInt(_id)
-            let _file = await self.run('getFile', {
+            let _file = await this.run('getFile', {
                 file_id: _id
             })
             if (_file.local.is_downloading_completed) {
@@ -1319,7 +1335,7 @@ class Bot extends TdClientActor {
             offset: 0,
             limit: 0,
             synchronous: true
-        })
+        }, options)
         return {
             file_id: _file.id,
             file_size: _file.size,
@@ -1340,11 +1356,11 @@ class Bot extends TdClientActor {
         let ret = await this.run('deleteFile', { file_id: _id })
         if (ret['@type'] == 'ok')
             return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'deleteFile', { file_id: _id })
     }
 
     async sendGame(chat_id, game_short_name, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let me = await this.getMe()
         let media = {
             '@type': 'inputMessageGame',
@@ -1356,7 +1372,7 @@ class Bot extends TdClientActor {
     }
 
     async setGameScore(user_id, score, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -1364,7 +1380,7 @@ class Bot extends TdClientActor {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id)
             })
-            if (orig_msg.content['@type'] != 'messageGame') throw new Error('Target message is not a game.')
+            if (orig_msg.content['@type'] != 'messageGame') throw new BadRequestError('Target message is not a game.', 'setGameScore')
             let _opt = {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id),
@@ -1386,14 +1402,14 @@ class Bot extends TdClientActor {
             let ret = await this.run('setInlineGameScore', _opt)
             if (ret['@type'] == 'ok')
                 return true
-            else throw ret
+            else throw TdError.fromResponse(ret, 'setInlineGameScore', _opt)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'setGameScore')
         }
     }
 
     async getGameHighScores(user_id, options = {}) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         if (options.chat_id && options.message_id) {
             options.chat_id = await this._checkChatId(options.chat_id)
             await this._initChatIfNeeded(options.chat_id)
@@ -1401,7 +1417,7 @@ class Bot extends TdClientActor {
                 chat_id: options.chat_id,
                 message_id: _util.get_tdlib_message_id(options.message_id)
             })
-            if (orig_msg.content['@type'] != 'messageGame') throw new Error('Target message is not a game.')
+            if (orig_msg.content['@type'] != 'messageGame') throw new BadRequestError('Target message is not a game.', 'getGameHighScores')
             let _opt = {
                 user_id,
                 chat_id: options.chat_id,
@@ -1417,19 +1433,19 @@ class Bot extends TdClientActor {
             let ret = await this.run('getInlineGameHighScores', _opt)
             return this.conversion.buildGameHighScores(ret)
         } else {
-            throw new Error('Please specify chat_id and message_id or inline_message_id.')
+            throw new BadRequestError('Please specify chat_id and message_id or inline_message_id.', 'getGameHighScores')
         }
     }
 
     async setPassportDataErrors(user_id, errors = []) {
-        if (!this.ready) throw new Error('Not ready.')
+        if (!this.ready) throw new NotReadyError()
         let _opt = {
             user_id,
             errors: errors.map(n => this.conversion.buildTdlibPassportElementError(n))
         }
         let ret = await this.run('setPassportDataErrors', _opt)
         if (ret['@type'] == 'ok') return true
-        else throw ret
+        else throw TdError.fromResponse(ret, 'setPassportDataErrors', _opt)
     }
 
     // Helpers
@@ -1442,7 +1458,7 @@ class Bot extends TdClientActor {
      */
     async _getUser(user_id, out_full = true) {
         let _id = await this._checkChatId(user_id)
-        if (_id <= 0) throw new Error('Not a user.')
+        if (_id <= 0) throw new BadRequestError('Not a user.')
         let user = await this.run('getUser', {
             user_id: _id
         })
@@ -1624,6 +1640,16 @@ class Bot extends TdClientActor {
         }
     }
 
+    /**
+     * Add resolved usernames to the cache snapshot.
+     * @protected
+     */
+    async _collectCacheSnapshot() {
+        const snapshot = await super._collectCacheSnapshot()
+        snapshot.usernames = Array.from(this._username_cache)
+        return snapshot
+    }
+
     /**
      * 
      * @protected
@@ -1632,7 +1658,7 @@ class Bot extends TdClientActor {
     async _checkChatId(chat_id) { // deopt
         if (isNaN(chat_id)) {
             if (typeof chat_id !== 'string') {
-                throw new Error('chat_id is not a string nor number: ' + chat_id)
+                throw new BadRequestError('chat_id is not a string nor number: ' + chat_id)
             }
             try {
                 const username = chat_id.match(/^@?([a-zA-Z0-9_]+)$/)[0]
@@ -1646,15 +1672,15 @@ class Bot extends TdClientActor {
                 if (resolved_chat) {
                     this._username_cache.set(username, {data: resolved_chat, timestamp: Date.now()})
                 } else {
-                    throw new Error('Not resolved.')
+                    throw new ChatNotFoundError('Not resolved.', 'searchPublicChat', { username })
                 }
                 return resolved_chat.id
             } catch (e) {
-                if (e.message.indexOf('Too Many Requests') > -1) {
+                if (e instanceof FloodWaitError || e instanceof TimeoutError || e instanceof AbortError || e instanceof ClientClosedError) {
                     throw e
                 }
-                console.error(e.stack)
-                throw new Error('cannot resolve name: ' + chat_id)
+                this._logger.warn('Failed to resolve username', { chat_id, error: e })
+                throw new ChatNotFoundError('cannot resolve name: ' + chat_id, 'searchPublicChat', { username: chat_id })
             }
         } else {
             return parseInt(chat_id)
@@ -1766,11 +1792,17 @@ class Bot extends TdClientActor {
                 await this._loadMessage(chat_id, opt.reply_to_message_id)
             } catch (e) {
                 // fail to get message to reply
-                console.log(`Message to reply (${options.reply_to_message_id}) not found. ${e.message}`)
+                this._logger.warn('Message to reply not found', {
+                    method: 'sendMessage',
+                    chat_id,
+                    message_id: options.reply_to_message_id,
+                    code: e.code,
+                    error_message: e.message
+                })
                 opt.reply_to_message_id = 0
             }
         }
-        let old_msg = await self.run('sendMessage', opt)
+        let old_msg = await this._scheduleSend(chat_id, () => self.run('sendMessage', opt), options.priority)
         return this._waitMessageTillSent(chat_id, old_msg.id)
     }
 
@@ -1801,10 +1833,23 @@ class Bot extends TdClientActor {
                 opt.reply_to_message_id = 0
             }
         }
-        let old_msg = await self.run('sendMessageAlbum', opt)
+        let old_msg = await this._scheduleSend(chat_id, () => self.run('sendMessageAlbum', opt), options.priority, contents.length)
         return Promise.all(old_msg.messages.map(m => this._waitMessageTillSent(chat_id, m.id)))
     }
 
+    /**
+     * Pass a send request through the outgoing rate limiter.
+     * @protected
+     * @param {number} chat_id
+     * @param {() => Promise<any>} task
+     * @param {number} [priority] Higher priority is sent first. Defaults to 0.
+     * @param {number} [cost] Number of messages sent by the task.
+     */
+    _scheduleSend(chat_id, task, priority = 0, cost = 1) {
+        if (!this._send_scheduler) return task()
+        return this._send_scheduler.schedule(chat_id, task, priority, cost)
+    }
+
     /**
      * @private
      * @param {TdTypes.updateNewMessage} message 
@@ -1825,16 +1870,22 @@ class Bot extends TdClientActor {
      * @param {*} update 
      */
     async _processIncomingEdit(update) {
-        let _msg = await this.run('getMessage', {
-            chat_id: update.chat_id,
-            message_id: update.message_id
-        })
+        // Only known with the message store.
+        let _previous = this.getMessageBeforeEdit(update.chat_id, update.message_id)
+        let _msg = this.getStoredMessage(update.chat_id, update.message_id)
+        if (!_msg) {
+            _msg = await this.run('getMessage', {
+                chat_id: update.chat_id,
+                message_id: update.message_id
+            })
+        }
         if (_msg.is_outgoing) return
         let msg = await this._getMessage(_msg)
+        let previous = _previous ? await this._getMessage(_previous) : undefined
         if (_msg.is_channel_post) {
-            return this.emit('edited_channel_post', msg)
+            return this.emit('edited_channel_post', msg, previous)
         } else {
-            return this.emit('edited_message', msg)
+            return this.emit('edited_message', msg, previous)
         }
     }
 
@@ -1871,8 +1922,7 @@ class Bot extends TdClientActor {
                     evt.data = Buffer.concat([decryptor.update(payload.slice(16)), decryptor.final()]).toString('utf8')
                 } catch (e) { 
                     if (this._debug_encrypt_callback_query) {
-                        console.error('callback payload decrypt failure')
-                        console.error(e.stack)
+                        this._logger.warn('Callback payload decrypt failure', { callback_query_id: update.id, error: e })
                     }
                     // discard silently.
                     return false
@@ -1992,7 +2042,7 @@ class Bot extends TdClientActor {
                 if (update.ok) {
                     rs(this._getMessage(update.message))
                 } else {
-                    rj(new Error(`${update.code}: ${update.error_message}`))
+                    rj(new SendFailedError(update.code, update.error_message, chat_id, message_id))
                 }
             })
         })
@@ -2027,7 +2077,7 @@ class Bot extends TdClientActor {
                         }
                         if (this._encrypt_callback_query) {
                             let data_buffer = Buffer.from(c.callback_data, 'utf8')
-                            if (data_buffer.length > 48) throw new Error('Payload too long. 48 bytes max.')
+                            if (data_buffer.length > 48) throw new BadRequestError('Payload too long. 48 bytes max.')
                             const iv = crypto.randomBytes(16)
                             // @ts-ignore
                             let encryptor = crypto.createCipheriv('aes-256-cfb', this._encrypt_callback_query, iv)
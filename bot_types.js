@@ -1,4 +1,5 @@
 const _util = require('./util')
+const { ChatAccessError, BadRequestError } = require('./errors')
 
 const maskpoint_mirror_table = new Map([
     ['maskPointChin', 'chin'],
@@ -242,7 +243,7 @@ class BotTypeConversion {
                             bot_chat.sticker_set_name = sticker_set.name
                             bot_chat.sticker_set_id = additional_full.sticker_set_id
                         } catch (e) {
-                            console.error('failed to get sticker set', additional_full.sticker_set_id)
+                            this.client._logger.warn('Failed to get sticker set', { chat_id: chat.id, sticker_set_id: additional_full.sticker_set_id, code: e.code, error: e })
                         }
                     }
                     bot_chat.description = additional_full.description
@@ -259,7 +260,7 @@ class BotTypeConversion {
                     if (!isNaN(additional_full.upgraded_from_basic_group_id))
                         bot_chat.migrate_from_chat_id = -additional_full.upgraded_from_basic_group_id
                 } catch (e) {
-                    if (e.message !== 'CHANNEL_PRIVATE') console.error(e)
+                    if (!(e instanceof ChatAccessError)) this.client._logger.error('Failed to get supergroup full info', { chat_id: chat.id, code: e.code, error: e })
                 }
             }
         } else if (chat.type['@type'] == 'chatTypeBasicGroup') {
@@ -284,7 +285,7 @@ class BotTypeConversion {
                     bot_chat.members = additional_full.members
                 // members here? really?
                 } catch (e) {
-                    console.error(e)
+                    this.client._logger.error('Failed to get basic group full info', { chat_id: chat.id, code: e.code, error: e })
                 }
             }
         } else if (chat.type['@type'] == 'chatTypePrivate') {
@@ -294,7 +295,7 @@ class BotTypeConversion {
             bot_chat.type = 'private'
             bot_chat = Object.assign(bot_chat, await this.buildUser(additional, out_full))
         } else {
-            throw new Error('Unknown Chat Type.')
+            throw new BadRequestError('Unknown Chat Type.')
         }
         return bot_chat
     }
@@ -830,7 +831,7 @@ class BotTypeConversion {
             case 'game':
                 return this.buildTdlibInlineQueryResultGame(iqr)
             default:
-                throw new Error(`Invalid inline query result type: ${iqr.type}`)
+                throw new BadRequestError(`Invalid inline query result type: ${iqr.type}`, 'answerInlineQuery')
         }
     }
 
@@ -962,7 +963,7 @@ class BotTypeConversion {
         if (article.input_message_content) {
             _article.input_message_content = await this.buildTdlibInlineInputMessageContent(article.input_message_content)
         } else {
-            throw new Error('Input_message_content not exist')
+            throw new BadRequestError('Input_message_content not exist', 'answerInlineQuery')
         }
         return _article
     }
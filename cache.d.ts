@@ -0,0 +1,88 @@
+/**
+ * Storage of the object cache. Keys look like `<kind>:<id>`, e.g. `chat:-1001234`.
+ * Implementations may be shared between processes, e.g. backed by Redis.
+ */
+declare export interface CacheBackend {
+    /** Read an object, undefined if it isn't cached. */
+    get(key: string): Promise<object | undefined>;
+    /** Store a complete object. */
+    set(key: string, value: object): Promise<void>;
+    /** Change some fields of a cached object, do nothing if it isn't cached. Resolves whether it was cached. */
+    patch(key: string, fields: object): Promise<boolean>;
+    /** Remove an object. Resolves whether it was cached. */
+    delete(key: string): Promise<boolean>;
+    /** Counters for getCacheStats(). */
+    stats?(): CacheStats;
+    /** All entries, for a snapshot written by the persist_cache option. */
+    dump?(): Promise<CacheEntry[]>;
+    /** Restore entries of a snapshot. */
+    load?(entries: CacheEntry[]): Promise<void>;
+}
+
+/** Key, object and the time it was stored. */
+declare export type CacheEntry = [string, { value: object, time: number }];
+
+declare export interface CachePolicy {
+    /**
+     * Maximum number of entries per kind (chat, user, basicgroup, supergroup, secretchat,
+     * userfullinfo, basicgroupfullinfo, supergroupfullinfo).
+     * A number applies to every kind. The least recently used entries are evicted first. Unbounded if not set.
+     */
+    max_entries?: number | { [kind: string]: number };
+    /**
+     * Milliseconds after which an entry is stale and fetched from TDLib again. A number applies to every kind.
+     * If not set, full info expires after 5 minutes, as TDLib only refreshes it when it is requested, and other entries don't expire.
+     * 0 disables expiry.
+     */
+    ttl?: number | { [kind: string]: number };
+}
+
+declare export interface CacheStats {
+    /** Reads answered from the cache. */
+    hits: number;
+    /** Reads which fell through to TDLib. */
+    misses: number;
+    /** Entries removed to stay within max_entries. */
+    evictions: number;
+    /** Entries removed because they outlived the ttl. */
+    expirations: number;
+    /** Number of entries per kind. */
+    size: { [kind: string]: number };
+}
+
+/**
+ * In-process cache backend, bounded per kind with LRU eviction and an optional TTL.
+ * Changes are applied synchronously, the returned Promises are already settled.
+ */
+declare export class MemoryCache implements CacheBackend {
+    constructor(policy?: CachePolicy);
+    /** Read an entry, counting it as a hit or a miss. */
+    get(key: string): Promise<object | undefined>;
+    /** Store a complete object. */
+    set(key: string, value: object): Promise<void>;
+    /** Change some fields of a cached object. Does nothing if the object isn't cached. */
+    patch(key: string, fields: object): Promise<boolean>;
+    delete(key: string): Promise<boolean>;
+    clear(): Promise<void>;
+    stats(): CacheStats;
+    /** All entries, least recently used first. */
+    dump(): Promise<CacheEntry[]>;
+    /** Restore entries keeping the time they were stored. Entries which already expired are skipped. */
+    load(entries: CacheEntry[]): Promise<void>;
+}
+
+/**
+ * Cache backend storing every object as a JSON file, `<directory>/<kind>/<id>.json`.
+ * Several processes may share the directory. max_entries is not supported.
+ */
+declare export class FileCache implements CacheBackend {
+    constructor(directory: string, policy?: { ttl?: number | { [kind: string]: number } });
+    get(key: string): Promise<object | undefined>;
+    set(key: string, value: object): Promise<void>;
+    patch(key: string, fields: object): Promise<boolean>;
+    delete(key: string): Promise<boolean>;
+    /** Counters of this process only. The size is not tracked. */
+    stats(): CacheStats;
+}
+
+export as namespace Cache;
@@ -0,0 +1,366 @@
+const fsp = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * Storage of the object cache. Keys look like `<kind>:<id>`, e.g. `chat:-1001234`.
+ * Implementations may be shared between processes, e.g. backed by Redis.
+ * @typedef CacheBackend
+ * @property {(key: string) => Promise<object|undefined>} get Read an object, undefined if it isn't cached.
+ * @property {(key: string, value: object) => Promise<void>} set Store a complete object.
+ * @property {(key: string, fields: object) => Promise<boolean>} patch Change some fields of a cached object, do nothing if it isn't cached. Resolves whether it was cached.
+ * @property {(key: string) => Promise<boolean>} delete Remove an object. Resolves whether it was cached.
+ * @property {() => CacheStats} [stats] Counters for getCacheStats().
+ * @property {() => Promise<CacheEntry[]>} [dump] All entries, for a snapshot written by the persist_cache option.
+ * @property {(entries: CacheEntry[]) => Promise<void>} [load] Restore entries of a snapshot.
+ */
+
+/**
+ * @typedef {[string, {value: object, time: number}]} CacheEntry Key, object and the time it was stored.
+ */
+
+/**
+ * @typedef CachePolicy
+ * @property {number|Object<string, number>} [max_entries] Maximum number of entries per kind (chat, user, basicgroup, supergroup, secretchat,
+ * userfullinfo, basicgroupfullinfo, supergroupfullinfo).
+ * A number applies to every kind. The least recently used entries are evicted first. Unbounded if not set.
+ * @property {number|Object<string, number>} [ttl] Milliseconds after which an entry is stale and fetched from TDLib again.
+ * A number applies to every kind. If not set, full info expires after 5 minutes, as TDLib only refreshes it when it is requested,
+ * and other entries don't expire. 0 disables expiry.
+ */
+
+// Full info is refreshed by TDLib on get*FullInfo only, which the cache answers instead.
+const default_ttl = {
+    userfullinfo: 5 * 60 * 1000,
+    basicgroupfullinfo: 5 * 60 * 1000,
+    supergroupfullinfo: 5 * 60 * 1000
+}
+
+/**
+ * @typedef CacheStats
+ * @property {number} hits Reads answered from the cache.
+ * @property {number} misses Reads which fell through to TDLib.
+ * @property {number} evictions Entries removed to stay within max_entries.
+ * @property {number} expirations Entries removed because they outlived the ttl.
+ * @property {Object<string, number>} size Number of entries per kind.
+ */
+
+/**
+ * In-process cache backend, bounded per kind with LRU eviction and an optional TTL.
+ * Changes are applied synchronously, the returned Promises are already settled.
+ * @implements {CacheBackend}
+ */
+class MemoryCache {
+    /**
+     * @param {CachePolicy} [policy]
+     */
+    constructor(policy = {}) {
+        this._max_entries = policy.max_entries
+        this._ttl = policy.ttl
+        /** @type {Map<string, Map<string, {value: object, time: number}>>} */
+        this._kinds = new Map()
+        this._stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 }
+    }
+
+    /**
+     * Read an entry, counting it as a hit or a miss.
+     * @param {string} key
+     * @returns {Promise<object|undefined>}
+     */
+    async get(key) {
+        const entries = this._kinds.get(kindOf(key))
+        const entry = entries && entries.get(key)
+        if (!entry) {
+            this._stats.misses++
+            return undefined
+        }
+        if (isExpired(this._ttl, key, entry)) {
+            entries.delete(key)
+            this._stats.expirations++
+            this._stats.misses++
+            return undefined
+        }
+        // Re-insert to mark the entry as the most recently used.
+        entries.delete(key)
+        entries.set(key, entry)
+        this._stats.hits++
+        return entry.value
+    }
+
+    /**
+     * Store a complete object.
+     * @param {string} key
+     * @param {object} value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        this._store(key, value, Date.now())
+    }
+
+    /**
+     * Change some fields of a cached object. Does nothing if the object isn't cached.
+     * @param {string} key
+     * @param {object} fields
+     * @returns {Promise<boolean>} Whether the object was cached.
+     */
+    async patch(key, fields) {
+        const entries = this._kinds.get(kindOf(key))
+        const entry = entries && entries.get(key)
+        if (!entry) return false
+        Object.assign(entry.value, fields)
+        return true
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    async delete(key) {
+        const entries = this._kinds.get(kindOf(key))
+        return !!entries && entries.delete(key)
+    }
+
+    async clear() {
+        this._kinds.clear()
+    }
+
+    /**
+     * All entries, least recently used first.
+     * @returns {Promise<CacheEntry[]>}
+     */
+    async dump() {
+        const entries = []
+        for (const kind of this._kinds.values()) {
+            for (const entry of kind) entries.push(entry)
+        }
+        return entries
+    }
+
+    /**
+     * Restore entries keeping the time they were stored, so that they expire as if they had never left the cache.
+     * Entries which already expired are skipped.
+     * @param {CacheEntry[]} entries
+     * @returns {Promise<void>}
+     */
+    async load(entries) {
+        for (const [key, entry] of entries) {
+            if (isExpired(this._ttl, key, entry)) continue
+            this._store(key, entry.value, entry.time)
+        }
+    }
+
+    /**
+     * @returns {CacheStats}
+     */
+    stats() {
+        const size = {}
+        for (const [kind, entries] of this._kinds) size[kind] = entries.size
+        return Object.assign({ size }, this._stats)
+    }
+
+    /**
+     * Insert an entry as the most recently used one and evict entries over the limit.
+     * @private
+     * @param {string} key
+     * @param {object} value
+     * @param {number} time
+     */
+    _store(key, value, time) {
+        const kind = kindOf(key)
+        if (!this._kinds.has(kind)) this._kinds.set(kind, new Map())
+        const entries = this._kinds.get(kind)
+        entries.delete(key)
+        entries.set(key, { value, time })
+        const limit = this._limitOf(kind)
+        while (entries.size > limit) {
+            entries.delete(entries.keys().next().value)
+            this._stats.evictions++
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} kind
+     */
+    _limitOf(kind) {
+        const max_entries = this._max_entries
+        if (typeof max_entries === 'number') return max_entries
+        if (max_entries && kind in max_entries) return max_entries[kind]
+        return Infinity
+    }
+}
+
+/**
+ * Cache backend storing every object as a JSON file, `<directory>/<kind>/<id>.json`.
+ * Several processes may share the directory. Meant for local use and as a stand-in for a shared store,
+ * max_entries is not supported.
+ * @implements {CacheBackend}
+ */
+class FileCache {
+    /**
+     * @param {string} directory
+     * @param {{ttl?: number|Object<string, number>}} [policy]
+     */
+    constructor(directory, policy = {}) {
+        this._directory = path.resolve(directory)
+        this._ttl = policy.ttl
+        /** @type {Map<string, Promise<any>>} */
+        this._queues = new Map()
+        this._stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 }
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<object|undefined>}
+     */
+    get(key) {
+        return this._enqueue(key, async () => {
+            const entry = await this._read(key)
+            if (!entry) {
+                this._stats.misses++
+                return undefined
+            }
+            if (isExpired(this._ttl, key, entry)) {
+                await this._unlink(key)
+                this._stats.expirations++
+                this._stats.misses++
+                return undefined
+            }
+            this._stats.hits++
+            return entry.value
+        })
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} value
+     * @returns {Promise<void>}
+     */
+    set(key, value) {
+        return this._enqueue(key, () => this._write(key, { value, time: Date.now() }))
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} fields
+     * @returns {Promise<boolean>}
+     */
+    patch(key, fields) {
+        return this._enqueue(key, async () => {
+            const entry = await this._read(key)
+            if (!entry) return false
+            Object.assign(entry.value, fields)
+            await this._write(key, entry)
+            return true
+        })
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>}
+     */
+    delete(key) {
+        return this._enqueue(key, () => this._unlink(key))
+    }
+
+    /**
+     * Counters of this process only. The size is not tracked.
+     * @returns {CacheStats}
+     */
+    stats() {
+        return Object.assign({ size: {} }, this._stats)
+    }
+
+    /**
+     * Run operations on the same key one after another, so that a patch can't overtake a set.
+     * @private
+     * @template T
+     * @param {string} key
+     * @param {() => Promise<T>} operation
+     * @returns {Promise<T>}
+     */
+    _enqueue(key, operation) {
+        const previous = this._queues.get(key) || Promise.resolve()
+        const result = previous.catch(() => {}).then(operation)
+        const done = result.catch(() => {}).then(() => {
+            if (this._queues.get(key) === done) this._queues.delete(key)
+        })
+        this._queues.set(key, done)
+        return result
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     */
+    _pathOf(key) {
+        return path.join(this._directory, encodeURIComponent(kindOf(key)), `${encodeURIComponent(key.slice(key.indexOf(':') + 1))}.json`)
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     * @returns {Promise<{value: object, time: number}|undefined>}
+     */
+    async _read(key) {
+        try {
+            return JSON.parse(await fsp.readFile(this._pathOf(key), 'utf8'))
+        } catch (e) {
+            if (e.code === 'ENOENT') return undefined
+            throw e
+        }
+    }
+
+    /**
+     * Write through a temporary file, so that other processes never read a partial file.
+     * @private
+     * @param {string} key
+     * @param {{value: object, time: number}} entry
+     */
+    async _write(key, entry) {
+        const file = this._pathOf(key)
+        await fsp.mkdir(path.dirname(file), { recursive: true })
+        const temp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`
+        await fsp.writeFile(temp, JSON.stringify(entry))
+        await fsp.rename(temp, file)
+    }
+
+    /**
+     * @private
+     * @param {string} key
+     */
+    async _unlink(key) {
+        try {
+            await fsp.unlink(this._pathOf(key))
+            return true
+        } catch (e) {
+            if (e.code === 'ENOENT') return false
+            throw e
+        }
+    }
+}
+
+/**
+ * @param {string} key
+ */
+function kindOf(key) {
+    return key.slice(0, key.indexOf(':'))
+}
+
+/**
+ * Whether the entry outlived the ttl of its kind.
+ * @param {number|Object<string, number>|undefined} ttl
+ * @param {string} key
+ * @param {{time: number}} entry
+ */
+function isExpired(ttl, key, entry) {
+    const kind = kindOf(key)
+    let limit
+    if (typeof ttl === 'number') limit = ttl
+    else if (ttl && kind in ttl) limit = ttl[kind]
+    else limit = default_ttl[kind] || 0
+    return limit > 0 && Date.now() - entry.time > limit
+}
+
+exports.MemoryCache = MemoryCache
+exports.FileCache = FileCache
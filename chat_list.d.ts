@@ -0,0 +1,39 @@
+import { EventEmitter } from "events";
+import { TdClientActor } from "./td_client_actor";
+
+declare export interface ChatListOptions {
+    /** Number of chats requested by one getChats call. Defaults to 100. */
+    page_size?: number;
+}
+
+/**
+ * Main chat list of a client, sorted like Telegram apps show it: by `order`, then by chat id, both descending.
+ * Chats are added by load() and kept in place by updates. A chat with order 0 is not in the list.
+ */
+declare export class ChatList extends EventEmitter {
+    constructor(client: TdClientActor, options?: ChatListOptions);
+    /**
+     * Load the next chats of the list from TDLib. Resolves the ids of the loaded chats.
+     * @param limit Number of chats to load at least, unless the end of the list is reached. Defaults to page_size.
+     */
+    load(limit?: number): Promise<number[]>;
+    /** Whether load() reached the end of the list. */
+    readonly complete: boolean;
+    /** Chat ids in list order. */
+    chats(): number[];
+    /** Number of chats in the list. */
+    readonly size: number;
+    has(chat_id: number): boolean;
+    /** Position of the chat, -1 if it isn't in the list. */
+    indexOf(chat_id: number): number;
+    /** Stop following updates. */
+    destroy(): void;
+
+    on(event: 'add', listener: (chat_id: number, index: number) => void): this;
+    /** The index may be unchanged. */
+    on(event: 'move', listener: (chat_id: number, index: number, old_index: number) => void): this;
+    on(event: 'remove', listener: (chat_id: number, old_index: number) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export as namespace ChatList;
@@ -0,0 +1,205 @@
+const EventEmitter = require('events')
+
+/**
+ * @typedef ChatListOptions
+ * @property {number} [page_size] Number of chats requested by one getChats call. Defaults to 100.
+ */
+
+// Order updates of these types carry the new `order` of the chat.
+const order_updates = [
+    'updateChatOrder',
+    'updateChatLastMessage',
+    'updateChatIsPinned',
+    'updateChatDraftMessage',
+    'updateChatIsSponsored'
+]
+
+const max_order = '9223372036854775807'
+
+/**
+ * Main chat list of a client, sorted like Telegram apps show it: by `order`, then by chat id, both descending.
+ * Chats are added by load() and kept in place by updates. A chat with order 0 is not in the list.
+ */
+class ChatList extends EventEmitter {
+    /**
+     * @param {import('./td_client_actor').TdClientActor} client
+     * @param {ChatListOptions} [options]
+     */
+    constructor(client, options = {}) {
+        super()
+        this._client = client
+        this._page_size = options.page_size || 100
+        /** @type {Map<number, string>} */
+        this._orders = new Map()
+        /** @type {number[]} */
+        this._list = []
+        /** Position after the last chat returned by getChats. */
+        this._offset = { order: max_order, chat_id: 0 }
+        this._complete = false
+        this._loading = Promise.resolve()
+        this._onNewChat = (update) => this._setOrder(update.chat.id, update.chat.order)
+        this._onOrder = (update) => this._setOrder(update.chat_id, update.order)
+        client.onUpdate('updateNewChat', this._onNewChat)
+        for (const type of order_updates) client.onUpdate(type, this._onOrder)
+    }
+
+    /**
+     * Load the next chats of the list from TDLib.
+     * @param {number} [limit] Number of chats to load at least, unless the end of the list is reached. Defaults to page_size.
+     * @returns {Promise<number[]>} Ids of the loaded chats.
+     */
+    load(limit = this._page_size) {
+        // One pagination at a time, every page starts where the previous one ended.
+        const loading = this._loading.catch(() => {}).then(() => this._load(limit))
+        this._loading = loading
+        return loading
+    }
+
+    /**
+     * Whether load() reached the end of the list.
+     */
+    get complete() {
+        return this._complete
+    }
+
+    /**
+     * Chat ids in list order.
+     * @returns {number[]}
+     */
+    chats() {
+        return this._list.slice()
+    }
+
+    /**
+     * Number of chats in the list.
+     */
+    get size() {
+        return this._list.length
+    }
+
+    /**
+     * @param {number} chat_id
+     */
+    has(chat_id) {
+        return this._orders.has(chat_id)
+    }
+
+    /**
+     * Position of the chat, -1 if it isn't in the list.
+     * @param {number} chat_id
+     */
+    indexOf(chat_id) {
+        return this._orders.has(chat_id) ? this._list.indexOf(chat_id) : -1
+    }
+
+    /**
+     * Stop following updates.
+     */
+    destroy() {
+        this._client.offUpdate('updateNewChat', this._onNewChat)
+        for (const type of order_updates) this._client.offUpdate(type, this._onOrder)
+    }
+
+    /**
+     * @private
+     * @param {number} limit
+     */
+    async _load(limit) {
+        const loaded = []
+        while (!this._complete && loaded.length < limit) {
+            const result = await this._client.run('getChats', {
+                offset_order: this._offset.order,
+                offset_chat_id: this._offset.chat_id,
+                limit: Math.min(this._page_size, limit - loaded.length)
+            })
+            if (result.chat_ids.length === 0) {
+                this._complete = true
+                break
+            }
+            for (const chat_id of result.chat_ids) {
+                // TDLib sends updateNewChat before returning a chat, the order is only requested for chats known earlier.
+                if (!this._orders.has(chat_id)) {
+                    const chat = await this._client.run('getChat', { chat_id })
+                    this._setOrder(chat_id, chat.order)
+                }
+                loaded.push(chat_id)
+            }
+            const last = result.chat_ids[result.chat_ids.length - 1]
+            this._offset = { order: this._orders.get(last) || '0', chat_id: last }
+            if (this._offset.order === '0') this._complete = true
+        }
+        return loaded
+    }
+
+    /**
+     * Insert, move or remove the chat for its new order.
+     * @private
+     * @param {number} chat_id
+     * @param {string|number} order
+     */
+    _setOrder(chat_id, order) {
+        order = String(order)
+        const old_order = this._orders.get(chat_id)
+        if (old_order === order || old_order === undefined && order === '0') return
+        const old_index = old_order === undefined ? -1 : this._list.indexOf(chat_id)
+        if (old_index > -1) this._list.splice(old_index, 1)
+        if (order === '0') {
+            this._orders.delete(chat_id)
+            /**
+             * A chat left the list.
+             * @event ChatList#remove
+             */
+            return this.emit('remove', chat_id, old_index)
+        }
+        this._orders.set(chat_id, order)
+        const index = this._insertionIndex(chat_id, order)
+        this._list.splice(index, 0, chat_id)
+        if (old_index === -1) {
+            /**
+             * A chat joined the list.
+             * @event ChatList#add
+             */
+            this.emit('add', chat_id, index)
+        } else {
+            /**
+             * A chat changed its order, the index may be unchanged.
+             * @event ChatList#move
+             */
+            this.emit('move', chat_id, index, old_index)
+        }
+    }
+
+    /**
+     * Binary search for the position of a chat not in the list.
+     * @private
+     * @param {number} chat_id
+     * @param {string} order
+     */
+    _insertionIndex(chat_id, order) {
+        let low = 0
+        let high = this._list.length
+        while (low < high) {
+            const middle = low + high >>> 1
+            const other = this._list[middle]
+            if (compareChats(this._orders.get(other), other, order, chat_id) < 0) low = middle + 1
+            else high = middle
+        }
+        return low
+    }
+}
+
+/**
+ * Negative if chat a comes before chat b.
+ * Orders are 64-bit integers in decimal strings, which are compared without losing precision.
+ * @param {string} order_a
+ * @param {number} chat_id_a
+ * @param {string} order_b
+ * @param {number} chat_id_b
+ */
+function compareChats(order_a, chat_id_a, order_b, chat_id_b) {
+    if (order_a.length !== order_b.length) return order_b.length - order_a.length
+    if (order_a !== order_b) return order_a > order_b ? -1 : 1
+    return chat_id_b - chat_id_a
+}
+
+exports.ChatList = ChatList
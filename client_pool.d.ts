@@ -0,0 +1,59 @@
+import { EventEmitter } from "events";
+import { Logger } from "./logger";
+import { TdClientActor } from "./td_client_actor";
+
+declare export interface ClientPoolOptions {
+    /** Milliseconds between receive rounds. Defaults to 20. */
+    poll_interval?: number;
+    /** Logger of the pool, also passed to clients created by the pool. Entries are written to the console if not set. */
+    logger?: Logger;
+}
+
+/** Options the pool passes to the client factory, to be merged into the client options. */
+declare export interface PooledClientOptions {
+    pool: ClientPool;
+    logger?: Logger;
+}
+
+declare export interface ClientDiagnostics {
+    identifier: string;
+    /** Last authorization state reported by TDLib. */
+    authorization_state: string;
+    closed: boolean;
+    /** Number of requests waiting for a response. */
+    pending_requests: number;
+    /** Timestamp of the last received update. */
+    last_update_time: number;
+}
+
+/**
+ * Creates, tracks and destroys many clients in one process.
+ * All clients of the pool are served by one receive loop and one SIGUSR2 handler.
+ */
+declare export class ClientPool extends EventEmitter {
+    constructor(options?: ClientPoolOptions);
+
+    /** Number of clients in the pool. */
+    readonly size: number;
+
+    /**
+     * Create a client served by the pool, e.g.
+     * `pool.create((options) => new Bot(api_id, api_hash, token, false, null, options))`.
+     */
+    create<T extends TdClientActor>(factory: (options: PooledClientOptions) => T): T;
+    get(identifier: string): TdClientActor | undefined;
+    has(identifier: string): boolean;
+    clients(): TdClientActor[];
+    /** Close a client gracefully and remove it from the pool. */
+    destroy(identifier: string): Promise<void>;
+    /** Close all clients gracefully and stop the receive loop. */
+    closeAll(): Promise<void>;
+    /** State of every client of the pool. */
+    diagnostics(): ClientDiagnostics[];
+
+    addListener(event: 'ready' | 'closed' | 'session_revoked' | 'added' | 'removed', listener: (client: TdClientActor) => void): this;
+    on(event: 'ready' | 'closed' | 'session_revoked' | 'added' | 'removed', listener: (client: TdClientActor) => void): this;
+    once(event: 'ready' | 'closed' | 'session_revoked' | 'added' | 'removed', listener: (client: TdClientActor) => void): this;
+}
+
+export as namespace ClientPool;
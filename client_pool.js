@@ -0,0 +1,204 @@
+const EventEmitter = require('events')
+const { ConsoleLogger } = require('./logger')
+
+/**
+ * @typedef ClientPoolOptions
+ * @property {number} [poll_interval] Milliseconds between receive rounds. Defaults to 20.
+ * @property {import('./logger').Logger} [logger] Logger of the pool, also passed to clients created by the pool. Entries are written to the console if not set.
+ */
+
+/**
+ * @typedef ClientDiagnostics
+ * @property {string} identifier
+ * @property {string} authorization_state Last authorization state reported by TDLib.
+ * @property {boolean} closed
+ * @property {number} pending_requests Number of requests waiting for a response.
+ * @property {number} last_update_time Timestamp of the last received update.
+ */
+
+/**
+ * Creates, tracks and destroys many clients in one process.
+ * All clients of the pool are served by one receive loop and one SIGUSR2 handler.
+ */
+class ClientPool extends EventEmitter {
+    /**
+     * @param {ClientPoolOptions} [options]
+     */
+    constructor(options = {}) {
+        super()
+        this._options = options
+        this._poll_interval = 'poll_interval' in options ? options.poll_interval : 20
+        this._logger = options.logger || new ConsoleLogger()
+        /** @type {Map<string, import('./td_client_actor').TdClientActor>} */
+        this._clients = new Map()
+        this._timer = null
+        this._poll = this._poll.bind(this)
+        this._onSigusr2 = () => this._reportDiagnostics()
+    }
+
+    /**
+     * Create a client served by the pool.
+     * The factory receives the options to merge into the client options, e.g.
+     * `pool.create((options) => new Bot(api_id, api_hash, token, false, null, options))`.
+     * @template {import('./td_client_actor').TdClientActor} T
+     * @param {(options: {pool: ClientPool, logger?: import('./logger').Logger}) => T} factory
+     * @returns {T}
+     */
+    create(factory) {
+        const pool_options = { pool: this }
+        if (this._options.logger) pool_options.logger = this._options.logger
+        const client = factory(pool_options)
+        const identifier = client._options.identifier
+        if (client._options.pool !== this || this._clients.has(identifier)) {
+            client.destroy()
+            if (client._options.pool !== this) throw new Error('the client was not created with the pool options')
+            throw new Error(`client ${identifier} already exists in the pool`)
+        }
+        this._clients.set(identifier, client)
+        for (const event of ['ready', 'closed', 'session_revoked']) {
+            client.on(event, (...args) => this.emit(event, client, ...args))
+        }
+        client.once('closed', () => this._release(client))
+        if (this._clients.size === 1) this._start()
+        /**
+         * A client was added to the pool.
+         * @event ClientPool#added
+         */
+        this.emit('added', client)
+        return client
+    }
+
+    /**
+     * @param {string} identifier
+     */
+    get(identifier) {
+        return this._clients.get(identifier)
+    }
+
+    /**
+     * @param {string} identifier
+     */
+    has(identifier) {
+        return this._clients.has(identifier)
+    }
+
+    /**
+     * Number of clients in the pool.
+     */
+    get size() {
+        return this._clients.size
+    }
+
+    /**
+     * Clients in the pool.
+     */
+    clients() {
+        return Array.from(this._clients.values())
+    }
+
+    /**
+     * Close a client gracefully and remove it from the pool.
+     * @param {string} identifier
+     * @returns {Promise<void>}
+     */
+    async destroy(identifier) {
+        const client = this._clients.get(identifier)
+        if (!client) throw new Error(`client ${identifier} is not in the pool`)
+        return this._release(client)
+    }
+
+    /**
+     * Close all clients gracefully and stop the receive loop.
+     * @returns {Promise<void>}
+     */
+    async closeAll() {
+        await Promise.all(this.clients().map((client) => this._release(client)))
+    }
+
+    /**
+     * State of every client of the pool.
+     * @returns {ClientDiagnostics[]}
+     */
+    diagnostics() {
+        return this.clients().map((client) => ({
+            identifier: client._options.identifier,
+            authorization_state: client._authorization_state,
+            closed: client._closed,
+            pending_requests: client._pending.size,
+            last_update_time: client._lastUpdateTime
+        }))
+    }
+
+    /**
+     * Close the client unless it is closed already, then remove it from the pool.
+     * @private
+     * @param {import('./td_client_actor').TdClientActor} client
+     */
+    async _release(client) {
+        try {
+            if (!client._closed) await client.close()
+        } catch (e) {
+            this._logger.warn('Failed to close client', { identifier: client._options.identifier, error: e })
+        }
+        this._remove(client)
+    }
+
+    /**
+     * @private
+     * @param {import('./td_client_actor').TdClientActor} client
+     */
+    _remove(client) {
+        const identifier = client._options.identifier
+        if (this._clients.get(identifier) !== client) return
+        this._clients.delete(identifier)
+        /**
+         * A client was removed from the pool.
+         * @event ClientPool#removed
+         */
+        this.emit('removed', client)
+        if (this._clients.size === 0) this._stop()
+    }
+
+    /**
+     * @private
+     */
+    _start() {
+        process.on('SIGUSR2', this._onSigusr2)
+        this._timer = setTimeout(this._poll, 0)
+    }
+
+    /**
+     * @private
+     */
+    _stop() {
+        process.removeListener('SIGUSR2', this._onSigusr2)
+        if (this._timer) clearTimeout(this._timer)
+        this._timer = null
+    }
+
+    /**
+     * Receive pending updates of every client.
+     * @private
+     */
+    _poll() {
+        for (const client of this._clients.values()) {
+            if (client._closed) {
+                // Destroyed without close(), nothing left to wait for.
+                if (!client._closing) this._remove(client)
+                continue
+            }
+            client._receiveUpdates()
+        }
+        this._timer = this._clients.size > 0 ? setTimeout(this._poll, this._poll_interval) : null
+    }
+
+    /**
+     * @private
+     */
+    _reportDiagnostics() {
+        this._logger.info('Client pool', { clients: this._clients.size })
+        for (const client of this._clients.values()) client._reportLastUpdate()
+    }
+}
+
+exports.ClientPool = ClientPool
@@ -0,0 +1,87 @@
+/** An error returned by TDLib. */
+declare export class TdError extends Error {
+    constructor(code: number, message: string, method?: string, params?: object);
+    /** TDLib error code. */
+    code: number;
+    /** Method which caused the error. */
+    method?: string;
+    /** Parameters of the method. */
+    params?: object;
+    /**
+     * Build the matching error from a TDLib response.
+     * Responses which are not of the `error` type are reported as unexpected.
+     */
+    static fromResponse(res: object, method?: string, params?: object, stack_trace?: string): TdError;
+}
+
+/** A request was rejected with 429 Too Many Requests. */
+declare export class FloodWaitError extends TdError {
+    constructor(code: number, message: string, retry_after: number, method?: string, params?: object);
+    /** Seconds to wait before retrying. */
+    retryAfter: number;
+}
+
+/** The chat does not exist or can't be resolved. */
+declare export class ChatNotFoundError extends TdError {
+    constructor(message: string, method?: string, params?: object);
+}
+
+/** The chat exists, but the client may not access it or do the action in it, e.g. a private channel. */
+declare export class ChatAccessError extends TdError {}
+
+/**
+ * A Bot API method was called with arguments it can't handle, like Telegram answers with 400 Bad Request.
+ * Nothing was sent to TDLib for it.
+ */
+declare export class BadRequestError extends TdError {
+    constructor(message: string, method?: string, params?: object);
+}
+
+/** A message was accepted by TDLib, but could not be sent. */
+declare export class SendFailedError extends TdError {
+    constructor(code: number, message: string, chat_id: number, message_id: number);
+    chat_id: number;
+    /** Temporary identifier of the message. */
+    message_id: number;
+}
+
+/** The login of a UserClient needs a callback which isn't provided. */
+declare export class AuthCallbackError extends Error {
+    constructor(callback: string, message: string);
+    /** Name of the missing option, e.g. getPassword. */
+    callback: string;
+}
+
+/** The client is not authorized yet. */
+declare export class NotReadyError extends Error {
+    constructor();
+}
+
+/** The client has been destroyed. */
+declare export class ClientClosedError extends Error {
+    constructor();
+}
+
+/** A request did not get a response from TDLib in time. */
+declare export class TimeoutError extends Error {
+    constructor(method: string, params: object, timeout: number);
+    method: string;
+    params: object;
+    /** Timeout in milliseconds. */
+    timeout: number;
+}
+
+/** A request was aborted by its AbortSignal before TDLib responded. */
+declare export class AbortError extends Error {
+    constructor(method: string, params: object);
+    method: string;
+    params: object;
+}
+
+/** An update stream was consumed too slowly and its buffer overflowed. */
+declare export class BufferOverflowError extends Error {
+    constructor(buffer_size: number);
+    buffer_size: number;
+}
+
+export as namespace Errors;
@@ -0,0 +1,213 @@
+const { inspect } = require('util')
+const util = require('./util')
+
+/**
+ * An error returned by TDLib.
+ */
+class TdError extends Error {
+    /**
+     * @param {number} code TDLib error code.
+     * @param {string} message TDLib error message.
+     * @param {string} [method] Method which caused the error.
+     * @param {object} [params] Parameters of the method.
+     */
+    constructor(code, message, method, params) {
+        super(message)
+        this.name = this.constructor.name
+        this.code = code
+        this.method = method
+        this.params = params
+    }
+
+    /**
+     * Build the matching error from a TDLib response.
+     * Responses which are not of the `error` type are reported as unexpected.
+     * @param {object} res TDLib response.
+     * @param {string} [method] Method which caused the error.
+     * @param {object} [params] Parameters of the method.
+     * @param {string} [stack_trace] Stack trace of the caller, as the response is received outside of it.
+     * @returns {TdError}
+     */
+    static fromResponse(res, method, params, stack_trace) {
+        let error
+        if (res['@type'] !== 'error') {
+            error = new TdError(500, `Unexpected response: ${res['@type']}`, method, params)
+        } else if (util.getRetryAfter(res) !== null) {
+            error = new FloodWaitError(res.code, res.message, util.getRetryAfter(res), method, params)
+        } else if (res.code == 400 && /^(Chat not found|CHAT_NOT_FOUND|USERNAME_NOT_OCCUPIED)$/.test(res.message)) {
+            error = new ChatNotFoundError(res.message, method, params)
+        } else if (res.code == 403 || res.code == 400 && /^CHANNEL_PRIVATE$/.test(res.message)) {
+            error = new ChatAccessError(res.code, res.message, method, params)
+        } else {
+            error = new TdError(res.code, res.message, method, params)
+        }
+        if (stack_trace) {
+            error.stack = `${error.name} ${error.code}: ${error.message}\nCaused by: ${method}\nParams: ${inspect(params)}\n${stack_trace}`
+        }
+        return error
+    }
+}
+
+/**
+ * A request was rejected with 429 Too Many Requests.
+ */
+class FloodWaitError extends TdError {
+    /**
+     * @param {number} code
+     * @param {string} message
+     * @param {number} retry_after Seconds to wait before retrying.
+     * @param {string} [method]
+     * @param {object} [params]
+     */
+    constructor(code, message, retry_after, method, params) {
+        super(code, message, method, params)
+        this.retryAfter = retry_after
+    }
+}
+
+/**
+ * The chat does not exist or can't be resolved.
+ */
+class ChatNotFoundError extends TdError {
+    /**
+     * @param {string} message
+     * @param {string} [method]
+     * @param {object} [params]
+     */
+    constructor(message, method, params) {
+        super(400, message, method, params)
+    }
+}
+
+/**
+ * The chat exists, but the client may not access it or do the action in it, e.g. a private channel.
+ */
+class ChatAccessError extends TdError {}
+
+/**
+ * A Bot API method was called with arguments it can't handle, like Telegram answers with 400 Bad Request.
+ * Nothing was sent to TDLib for it.
+ */
+class BadRequestError extends TdError {
+    /**
+     * @param {string} message
+     * @param {string} [method] Bot API method which was called.
+     * @param {object} [params]
+     */
+    constructor(message, method, params) {
+        super(400, message, method, params)
+    }
+}
+
+/**
+ * A message was accepted by TDLib, but could not be sent.
+ */
+class SendFailedError extends TdError {
+    /**
+     * @param {number} code
+     * @param {string} message
+     * @param {number} chat_id
+     * @param {number} message_id Temporary identifier of the message.
+     */
+    constructor(code, message, chat_id, message_id) {
+        super(code, message, 'sendMessage')
+        this.chat_id = chat_id
+        this.message_id = message_id
+    }
+}
+
+/**
+ * The login of a UserClient needs a callback which isn't provided.
+ */
+class AuthCallbackError extends Error {
+    /**
+     * @param {string} callback Name of the missing option, e.g. getPassword.
+     * @param {string} message
+     */
+    constructor(callback, message) {
+        super(message)
+        this.name = 'AuthCallbackError'
+        this.callback = callback
+    }
+}
+
+/**
+ * The client is not authorized yet.
+ */
+class NotReadyError extends Error {
+    constructor() {
+        super('Not ready.')
+        this.name = 'NotReadyError'
+    }
+}
+
+/**
+ * The client has been destroyed.
+ */
+class ClientClosedError extends Error {
+    constructor() {
+        super('Client closed.')
+        this.name = 'ClientClosedError'
+    }
+}
+
+/**
+ * A request did not get a response from TDLib in time.
+ */
+class TimeoutError extends Error {
+    /**
+     * @param {string} method
+     * @param {object} params
+     * @param {number} timeout Timeout in milliseconds.
+     */
+    constructor(method, params, timeout) {
+        super(`${method} timed out after ${timeout}ms`)
+        this.name = 'TimeoutError'
+        this.method = method
+        this.params = params
+        this.timeout = timeout
+    }
+}
+
+/**
+ * A request was aborted by its AbortSignal before TDLib responded.
+ */
+class AbortError extends Error {
+    /**
+     * @param {string} method
+     * @param {object} params
+     */
+    constructor(method, params) {
+        super(`${method} was aborted`)
+        this.name = 'AbortError'
+        this.method = method
+        this.params = params
+    }
+}
+
+/**
+ * An update stream was consumed too slowly and its buffer overflowed.
+ */
+class BufferOverflowError extends Error {
+    /**
+     * @param {number} buffer_size
+     */
+    constructor(buffer_size) {
+        super(`update buffer of ${buffer_size} overflowed`)
+        this.name = 'BufferOverflowError'
+        this.buffer_size = buffer_size
+    }
+}
+
+exports.TdError = TdError
+exports.FloodWaitError = FloodWaitError
+exports.ChatNotFoundError = ChatNotFoundError
+exports.ChatAccessError = ChatAccessError
+exports.BadRequestError = BadRequestError
+exports.SendFailedError = SendFailedError
+exports.AuthCallbackError = AuthCallbackError
+exports.NotReadyError = NotReadyError
+exports.ClientClosedError = ClientClosedError
+exports.TimeoutError = TimeoutError
+exports.AbortError = AbortError
+exports.BufferOverflowError = BufferOverflowError
@@ -0,0 +1,68 @@
+import { TDLibBackend } from "./tdlib";
+
+/**
+ * Response to a request: the object sent back, or a function building it.
+ * A function may return a promise; undefined is answered with `ok` and a thrown error with an `error` object.
+ */
+declare export type FakeResponse = object | ((request: any, client_id: number) => any);
+
+declare export interface FakeTDLibOptions {
+    /** User returned by getMe after a phone login. Bots get a user with the id from their token. */
+    me?: object;
+    /** Authentication code accepted by checkAuthenticationCode. Defaults to '12345'. */
+    code?: string;
+    /** 2-step verification password. No password is asked if not set. */
+    password?: string;
+    /** Whether the phone number is registered. Otherwise registerUser is asked. Defaults to true. */
+    registered?: boolean;
+    /** Whether clients are logged in already, like after a restart. Defaults to false. */
+    authorized?: boolean;
+}
+
+/**
+ * In-memory stand-in for the native TDLib addon, for tests without a compiled TDLib or network access.
+ * Clients go through the authorization states of a real login, other requests are answered by scripted
+ * responses or from the users, chats and messages added to the fake.
+ */
+declare export class FakeTDLib implements TDLibBackend {
+    constructor(options?: FakeTDLibOptions);
+    /** An error response, e.g. for handle() or handleOnce(). */
+    static error(code: number, message: string): object;
+    /** Answer every request of the method with the response, in place of the built-in behaviour. */
+    handle(method: string, response: FakeResponse): this;
+    /** Answer the next request of the method with the response. Responses queued for a method are used in order, before the one set by handle(). */
+    handleOnce(method: string, response: FakeResponse): this;
+    /** Send an update to a client, or to every client. */
+    pushUpdate(update: object, client_id?: number): void;
+    /**
+     * Make a user, chat, basic group, supergroup or message known, so that it is returned by getUser, getChat etc.
+     * Clients are sent the update announcing it, like updateUser or updateNewChat. Messages are only stored.
+     */
+    add(object: object): this;
+    /** Make the full info of a user, basic group or supergroup known. Users added without full info get an empty one. */
+    addFullInfo(id: number, full_info: object): this;
+    /** Move a client to another authorization state, e.g. `authorizationStateLoggingOut` for a revoked session. */
+    setAuthorizationState(client_id: number, state: object | string): void;
+    /** Requests received so far, oldest first. */
+    requests(method?: string, client_id?: number): any[];
+    /** Forget the received requests. */
+    clearRequests(): void;
+    /** Authorization state type of a client. */
+    authorizationState(client_id: number): string;
+
+    td_client_create(): number;
+    td_client_destroy(client_id: number): void;
+    td_client_send(client_id: number, request: string): void;
+    /** Returns all queued updates and responses without waiting, the timeout is ignored. */
+    td_client_receive(client_id: number, timeout?: number): string[];
+    td_client_receive_async(client_id: number, timeout: number, callback: (err: Error, res: string) => void): void;
+    /** Only logging methods and scripted responses which aren't promises are supported. */
+    td_client_execute(client_id: number, request: string): string;
+    /** Push delivery isn't emulated, clients fall back to sync polling. */
+    has_push_receiver(): boolean;
+    td_set_log_file_path(file_path: string): boolean;
+    td_set_log_max_file_size(max_file_size: number): void;
+    td_set_log_verbosity_level(new_verbosity_level: number): void;
+}
+
+export as namespace FakeTDLib;
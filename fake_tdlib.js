@@ -0,0 +1,564 @@
+/**
+ * Response to a request: the object sent back, or a function building it.
+ * A function may return a promise; undefined is answered with `ok` and a thrown error with an `error` object.
+ * @typedef {object|((request: object, client_id: number) => any)} FakeResponse
+ */
+
+/**
+ * @typedef FakeTDLibOptions
+ * @property {object} [me] User returned by getMe after a phone login. Bots get a user with the id from their token.
+ * @property {string} [code] Authentication code accepted by checkAuthenticationCode. Defaults to '12345'.
+ * @property {string} [password] 2-step verification password. No password is asked if not set.
+ * @property {boolean} [registered] Whether the phone number is registered. Otherwise registerUser is asked. Defaults to true.
+ * @property {boolean} [authorized] Whether clients are logged in already, like after a restart. Defaults to false.
+ */
+
+/**
+ * @typedef FakeClient
+ * @property {string} state Type of the authorization state.
+ * @property {object} me
+ * @property {string[]} queue Updates and responses not received yet.
+ * @property {((result: string) => void)|null} waiter Callback of a receive_async call waiting for the queue.
+ * @property {boolean} destroyed
+ */
+
+// Methods which TDLib can execute synchronously and which only change its logging.
+const log_methods = [
+    'setLogStream',
+    'setLogVerbosityLevel',
+    'setLogTagVerbosityLevel',
+    'addLogMessage'
+]
+
+// Objects known to the fake by type, with the update sent when one is added.
+const object_updates = {
+    user: (user) => ({ '@type': 'updateUser', user }),
+    chat: (chat) => ({ '@type': 'updateNewChat', chat }),
+    basicGroup: (basic_group) => ({ '@type': 'updateBasicGroup', basic_group }),
+    supergroup: (supergroup) => ({ '@type': 'updateSupergroup', supergroup }),
+    message: null
+}
+
+const full_info_types = ['userFullInfo', 'basicGroupFullInfo', 'supergroupFullInfo']
+
+/**
+ * In-memory stand-in for the native TDLib addon, for tests without a compiled TDLib or network access.
+ * Clients go through the authorization states of a real login, other requests are answered by scripted
+ * responses or from the users, chats and messages added to the fake.
+ */
+class FakeTDLib {
+    /**
+     * @param {FakeTDLibOptions} [options]
+     */
+    constructor(options = {}) {
+        this._options = Object.assign({ code: '12345', registered: true, authorized: false }, options)
+        /** @type {Map<number, FakeClient>} */
+        this._clients = new Map()
+        this._last_client_id = 0
+        /** @type {Map<string, FakeResponse>} */
+        this._handlers = new Map()
+        /** @type {Map<string, FakeResponse[]>} */
+        this._once_handlers = new Map()
+        /** @type {Map<string, Map<string, object>>} */
+        this._objects = new Map()
+        for (const type of Object.keys(object_updates).concat(full_info_types)) this._objects.set(type, new Map())
+        /** @type {{client_id: number, request: object}[]} */
+        this._requests = []
+    }
+
+    /**
+     * Answer every request of the method with the response, in place of the built-in behaviour.
+     * @param {string} method
+     * @param {FakeResponse} response
+     * @returns {this}
+     */
+    handle(method, response) {
+        this._handlers.set(method, response)
+        return this
+    }
+
+    /**
+     * Answer the next request of the method with the response. Responses queued for a method are used in order,
+     * before the one set by handle().
+     * @param {string} method
+     * @param {FakeResponse} response
+     * @returns {this}
+     */
+    handleOnce(method, response) {
+        if (!this._once_handlers.has(method)) this._once_handlers.set(method, [])
+        this._once_handlers.get(method).push(response)
+        return this
+    }
+
+    /**
+     * Send an update to a client, or to every client.
+     * @param {object} update
+     * @param {number} [client_id]
+     */
+    pushUpdate(update, client_id) {
+        const ids = client_id === undefined ? Array.from(this._clients.keys()) : [client_id]
+        for (const id of ids) this._enqueue(id, update)
+    }
+
+    /**
+     * Make a user, chat, basic group, supergroup or message known, so that it is returned by getUser, getChat etc.
+     * Clients are sent the update announcing it, like updateUser or updateNewChat. Messages are only stored,
+     * push an updateNewMessage to deliver one.
+     * @param {object} object
+     * @returns {this}
+     */
+    add(object) {
+        const type = object['@type']
+        if (!(type in object_updates)) throw new TypeError(`Unsupported object type: ${type}`)
+        const key = type === 'message' ? `${object.chat_id}:${object.id}` : String(object.id)
+        this._objects.get(type).set(key, object)
+        if (object_updates[type]) this.pushUpdate(object_updates[type](object))
+        return this
+    }
+
+    /**
+     * Make the full info of a user, basic group or supergroup known, so that it is returned by getUserFullInfo etc.
+     * Users added without full info get an empty one.
+     * @param {number} id Id of the user, basic group or supergroup.
+     * @param {object} full_info
+     * @returns {this}
+     */
+    addFullInfo(id, full_info) {
+        const type = full_info['@type']
+        if (full_info_types.indexOf(type) === -1) throw new TypeError(`Unsupported object type: ${type}`)
+        this._objects.get(type).set(String(id), full_info)
+        return this
+    }
+
+    /**
+     * Move a client to another authorization state, e.g. `authorizationStateLoggingOut` for a revoked session.
+     * @param {number} client_id
+     * @param {object|string} state The state object, or only its type.
+     */
+    setAuthorizationState(client_id, state) {
+        this._setState(this._client(client_id), client_id, typeof state === 'string' ? { '@type': state } : state)
+    }
+
+    /**
+     * Requests received so far, oldest first.
+     * @param {string} [method] Only requests of the method.
+     * @param {number} [client_id] Only requests of the client.
+     * @returns {object[]}
+     */
+    requests(method, client_id) {
+        return this._requests
+            .filter((entry) => (method === undefined || entry.request['@type'] === method) && (client_id === undefined || entry.client_id === client_id))
+            .map((entry) => entry.request)
+    }
+
+    /**
+     * Forget the received requests.
+     */
+    clearRequests() {
+        this._requests = []
+    }
+
+    /**
+     * Authorization state type of a client.
+     * @param {number} client_id
+     * @returns {string}
+     */
+    authorizationState(client_id) {
+        return this._client(client_id).state
+    }
+
+    /**
+     * An error response, e.g. for handle() or handleOnce().
+     * @param {number} code
+     * @param {string} message
+     * @returns {object}
+     */
+    static error(code, message) {
+        return error(code, message)
+    }
+
+    /**
+     * @returns {number}
+     */
+    td_client_create() {
+        const client_id = ++this._last_client_id
+        this._clients.set(client_id, { state: null, me: null, queue: [], waiter: null, destroyed: false })
+        this.setAuthorizationState(client_id, 'authorizationStateWaitTdlibParameters')
+        return client_id
+    }
+
+    /**
+     * @param {number} client_id
+     */
+    td_client_destroy(client_id) {
+        const client = this._client(client_id)
+        client.destroyed = true
+        client.queue = []
+        if (client.waiter) client.waiter('')
+    }
+
+    /**
+     * @param {number} client_id
+     * @param {string} request
+     */
+    td_client_send(client_id, request) {
+        const client = this._client(client_id)
+        if (client.destroyed) return
+        const parsed = JSON.parse(request)
+        this._requests.push({ client_id, request: parsed })
+        // Answered asynchronously like TDLib, after the caller has set up its response listener.
+        Promise.resolve()
+            .then(() => this._answer(client, client_id, parsed))
+            .catch((e) => error(e.code || 500, e.message))
+            .then((response) => {
+                this._enqueue(client_id, parsed['@extra'] === undefined ? response : Object.assign({}, response, { '@extra': parsed['@extra'] }))
+            })
+    }
+
+    /**
+     * Returns all queued updates and responses without waiting, the timeout is ignored.
+     * @param {number} client_id
+     * @returns {string[]}
+     */
+    td_client_receive(client_id) {
+        const client = this._client(client_id)
+        const updates = client.queue
+        client.queue = []
+        return updates
+    }
+
+    /**
+     * @param {number} client_id
+     * @param {number} timeout
+     * @param {(err: Error, res: string) => void} callback
+     */
+    td_client_receive_async(client_id, timeout, callback) {
+        const client = this._client(client_id)
+        if (client.queue.length > 0 || client.destroyed) {
+            const update = client.queue.length > 0 ? client.queue.shift() : ''
+            return setImmediate(callback, null, update)
+        }
+        const timer = setTimeout(() => finish(''), timeout * 1000)
+        const finish = (update) => {
+            clearTimeout(timer)
+            client.waiter = null
+            setImmediate(callback, null, update)
+        }
+        client.waiter = finish
+    }
+
+    /**
+     * Only logging methods and scripted responses which aren't promises are supported.
+     * @param {number} client_id
+     * @param {string} request
+     * @returns {string}
+     */
+    td_client_execute(client_id, request) {
+        const parsed = JSON.parse(request)
+        this._requests.push({ client_id, request: parsed })
+        const method = parsed['@type']
+        let response
+        try {
+            const handler = this._takeHandler(method)
+            if (handler !== undefined) response = respond(handler, parsed, client_id)
+            else if (log_methods.indexOf(method) > -1) response = { '@type': 'ok' }
+            else response = error(400, `Method is not handled by FakeTDLib: ${method}`)
+        } catch (e) {
+            response = error(e.code || 500, e.message)
+        }
+        if (response && typeof response.then === 'function') response = error(500, `Response to ${method} is a promise, which can't be executed synchronously`)
+        return JSON.stringify(response)
+    }
+
+    /**
+     * Push delivery isn't emulated, clients fall back to sync polling.
+     * @returns {boolean}
+     */
+    has_push_receiver() {
+        return false
+    }
+
+    td_set_log_file_path() {
+        return true
+    }
+
+    td_set_log_max_file_size() {}
+
+    td_set_log_verbosity_level() {}
+
+    /**
+     * @private
+     * @param {number} client_id
+     * @returns {FakeClient}
+     */
+    _client(client_id) {
+        const client = this._clients.get(client_id)
+        if (!client) throw new Error(`Unknown client: ${client_id}`)
+        return client
+    }
+
+    /**
+     * @private
+     * @param {number} client_id
+     * @param {object} update
+     */
+    _enqueue(client_id, update) {
+        const client = this._client(client_id)
+        if (client.destroyed) return
+        const update_string = JSON.stringify(update)
+        if (client.waiter) client.waiter(update_string)
+        else client.queue.push(update_string)
+    }
+
+    /**
+     * @private
+     * @param {string} method
+     * @returns {FakeResponse|undefined}
+     */
+    _takeHandler(method) {
+        const once = this._once_handlers.get(method)
+        if (once && once.length > 0) return once.shift()
+        return this._handlers.get(method)
+    }
+
+    /**
+     * @private
+     * @param {FakeClient} client
+     * @param {number} client_id
+     * @param {object} request
+     * @returns {Promise<object>}
+     */
+    async _answer(client, client_id, request) {
+        const method = request['@type']
+        const handler = this._takeHandler(method)
+        if (handler !== undefined) return await respond(handler, request, client_id) || { '@type': 'ok' }
+        if (method in authorization_methods) return authorization_methods[method].call(this, client, client_id, request)
+        switch (method) {
+            case 'getAuthorizationState':
+                return { '@type': client.state }
+            case 'getMe':
+                return client.me ? client.me : error(401, 'Unauthorized')
+            case 'getUser':
+                return this._find('user', String(request.user_id))
+            case 'getChat':
+                return this._objects.get('chat').get(String(request.chat_id)) || error(400, 'Chat not found')
+            case 'getBasicGroup':
+                return this._find('basicGroup', String(request.basic_group_id))
+            case 'getSupergroup':
+                return this._find('supergroup', String(request.supergroup_id))
+            case 'getUserFullInfo':
+                if (this._objects.get('userFullInfo').has(String(request.user_id))) return this._find('userFullInfo', String(request.user_id))
+                return this._objects.get('user').has(String(request.user_id)) ? userFullInfo(this._objects.get('user').get(String(request.user_id))) : error(404, 'Not Found')
+            case 'getBasicGroupFullInfo':
+                return this._find('basicGroupFullInfo', String(request.basic_group_id))
+            case 'getSupergroupFullInfo':
+                return this._find('supergroupFullInfo', String(request.supergroup_id))
+            case 'getMessage':
+                return this._find('message', `${request.chat_id}:${request.message_id}`)
+            case 'getMessages':
+                return {
+                    '@type': 'messages',
+                    total_count: request.message_ids.length,
+                    messages: request.message_ids.map((id) => this._objects.get('message').get(`${request.chat_id}:${id}`) || null)
+                }
+            case 'setOption':
+                return { '@type': 'ok' }
+        }
+        if (log_methods.indexOf(method) > -1) return { '@type': 'ok' }
+        return error(400, `Method is not handled by FakeTDLib: ${method}`)
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {string} key
+     * @returns {object}
+     */
+    _find(type, key) {
+        return this._objects.get(type).get(key) || error(404, 'Not Found')
+    }
+
+    /**
+     * @private
+     * @param {FakeClient} client
+     * @param {number} client_id
+     * @param {object} state
+     */
+    _setState(client, client_id, state) {
+        if (state['@type'] === 'authorizationStateReady' && client.me) {
+            this._objects.get('user').set(String(client.me.id), client.me)
+            this._enqueue(client_id, { '@type': 'updateUser', user: client.me })
+        }
+        client.state = state['@type']
+        this._enqueue(client_id, { '@type': 'updateAuthorizationState', authorization_state: state })
+    }
+
+    /**
+     * Log in after the code, the password or the registration, depending on what is left.
+     * @private
+     * @param {FakeClient} client
+     * @param {number} client_id
+     * @param {string} step The step just passed.
+     */
+    _nextLoginStep(client, client_id, step) {
+        if (step === 'code' && this._options.password) {
+            return this._setState(client, client_id, { '@type': 'authorizationStateWaitPassword', password_hint: '', has_recovery_email_address: false, recovery_email_address_pattern: '' })
+        }
+        if (step !== 'registration' && !this._options.registered) {
+            return this._setState(client, client_id, { '@type': 'authorizationStateWaitRegistration', terms_of_service: { '@type': 'termsOfService', text: { '@type': 'formattedText', text: '', entities: [] }, min_user_age: 0, show_popup: false } })
+        }
+        if (!client.me) client.me = Object.assign(user(1, 'userTypeRegular'), this._options.me)
+        this._setState(client, client_id, { '@type': 'authorizationStateReady' })
+    }
+}
+
+/**
+ * Handlers of authorization requests, called with the fake as `this`. Each checks that the client is in the state
+ * the request belongs to, answers with `ok` and moves to the following state.
+ * @type {Object<string, (this: FakeTDLib, client: FakeClient, client_id: number, request: object) => object>}
+ */
+const authorization_methods = {
+    setTdlibParameters(client, client_id) {
+        if (client.state !== 'authorizationStateWaitTdlibParameters') return unexpected('setTdlibParameters')
+        setImmediate(() => this._setState(client, client_id, { '@type': 'authorizationStateWaitEncryptionKey', is_encrypted: false }))
+        return { '@type': 'ok' }
+    },
+    checkDatabaseEncryptionKey(client, client_id) {
+        if (client.state !== 'authorizationStateWaitEncryptionKey') return unexpected('checkDatabaseEncryptionKey')
+        setImmediate(() => {
+            if (!this._options.authorized) return this._setState(client, client_id, { '@type': 'authorizationStateWaitPhoneNumber' })
+            client.me = Object.assign(user(1, 'userTypeRegular'), this._options.me)
+            this._setState(client, client_id, { '@type': 'authorizationStateReady' })
+        })
+        return { '@type': 'ok' }
+    },
+    setAuthenticationPhoneNumber(client, client_id, request) {
+        if (client.state !== 'authorizationStateWaitPhoneNumber') return unexpected('setAuthenticationPhoneNumber')
+        setImmediate(() => this._setState(client, client_id, {
+            '@type': 'authorizationStateWaitCode',
+            code_info: {
+                '@type': 'authenticationCodeInfo',
+                phone_number: request.phone_number,
+                type: { '@type': 'authenticationCodeTypeSms', length: this._options.code.length },
+                timeout: 0
+            },
+            is_registered: this._options.registered
+        }))
+        return { '@type': 'ok' }
+    },
+    checkAuthenticationCode(client, client_id, request) {
+        if (client.state !== 'authorizationStateWaitCode') return unexpected('checkAuthenticationCode')
+        if (request.code !== this._options.code) return error(400, 'PHONE_CODE_INVALID')
+        // TDLib before 1.6 registers new accounts together with the code.
+        if (!this._options.registered && request.first_name) {
+            client.me = Object.assign(user(1, 'userTypeRegular'), this._options.me, { first_name: request.first_name, last_name: request.last_name || '' })
+        }
+        setImmediate(() => this._nextLoginStep(client, client_id, client.me ? 'registration' : 'code'))
+        return { '@type': 'ok' }
+    },
+    checkAuthenticationPassword(client, client_id, request) {
+        if (client.state !== 'authorizationStateWaitPassword') return unexpected('checkAuthenticationPassword')
+        if (request.password !== this._options.password) return error(400, 'PASSWORD_HASH_INVALID')
+        setImmediate(() => this._nextLoginStep(client, client_id, 'password'))
+        return { '@type': 'ok' }
+    },
+    registerUser(client, client_id, request) {
+        if (client.state !== 'authorizationStateWaitRegistration') return unexpected('registerUser')
+        client.me = Object.assign(user(1, 'userTypeRegular'), this._options.me, { first_name: request.first_name, last_name: request.last_name || '' })
+        setImmediate(() => this._nextLoginStep(client, client_id, 'registration'))
+        return { '@type': 'ok' }
+    },
+    checkAuthenticationBotToken(client, client_id, request) {
+        if (client.state !== 'authorizationStateWaitPhoneNumber') return unexpected('checkAuthenticationBotToken')
+        const bot_id = parseInt(String(request.token).split(':')[0])
+        if (!bot_id) return error(401, 'ACCESS_TOKEN_INVALID')
+        client.me = user(bot_id, 'userTypeBot')
+        setImmediate(() => this._setState(client, client_id, { '@type': 'authorizationStateReady' }))
+        return { '@type': 'ok' }
+    },
+    close(client, client_id) {
+        setImmediate(() => {
+            this._setState(client, client_id, { '@type': 'authorizationStateClosing' })
+            this._setState(client, client_id, { '@type': 'authorizationStateClosed' })
+        })
+        return { '@type': 'ok' }
+    },
+    logOut(client, client_id) {
+        setImmediate(() => {
+            this._setState(client, client_id, { '@type': 'authorizationStateLoggingOut' })
+            this._setState(client, client_id, { '@type': 'authorizationStateClosed' })
+        })
+        return { '@type': 'ok' }
+    }
+}
+
+/**
+ * @param {FakeResponse} handler
+ * @param {object} request
+ * @param {number} client_id
+ */
+function respond(handler, request, client_id) {
+    return typeof handler === 'function' ? handler(request, client_id) : handler
+}
+
+/**
+ * @param {number} code
+ * @param {string} message
+ */
+function error(code, message) {
+    return { '@type': 'error', code, message }
+}
+
+/**
+ * @param {string} method
+ */
+function unexpected(method) {
+    return error(400, `Unexpected ${method} in the current authorization state`)
+}
+
+/**
+ * @param {number} id
+ * @param {"userTypeRegular"|"userTypeBot"} type
+ */
+function user(id, type) {
+    const bot = type === 'userTypeBot'
+    return {
+        '@type': 'user',
+        id,
+        first_name: bot ? 'Fake Bot' : 'Fake',
+        last_name: '',
+        username: bot ? `fake${id}_bot` : '',
+        phone_number: bot ? '' : '15550000000',
+        status: { '@type': 'userStatusEmpty' },
+        outgoing_link: { '@type': 'linkStateKnowsPhoneNumber' },
+        incoming_link: { '@type': 'linkStateKnowsPhoneNumber' },
+        is_verified: false,
+        is_support: false,
+        restriction_reason: '',
+        is_scam: false,
+        have_access: true,
+        type: bot
+            ? { '@type': 'userTypeBot', can_join_groups: true, can_read_all_group_messages: false, is_inline: false, inline_query_placeholder: '', need_location: false }
+            : { '@type': 'userTypeRegular' },
+        language_code: ''
+    }
+}
+
+/**
+ * Empty full info of a user.
+ * @param {object} user
+ */
+function userFullInfo(user) {
+    return {
+        '@type': 'userFullInfo',
+        is_blocked: false,
+        can_be_called: false,
+        has_private_calls: false,
+        bio: '',
+        share_text: '',
+        group_in_common_count: 0,
+        bot_info: user.type['@type'] === 'userTypeBot' ? { '@type': 'botInfo', description: '', commands: [] } : null
+    }
+}
+
+exports.FakeTDLib = FakeTDLib
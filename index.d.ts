@@ -1,4 +1,19 @@
-export { TDLib } from "./tdlib";
+export { TDLib, TDLibBackend } from "./tdlib";
 
 import * as Utils from "./util";
 export { Utils };
+
+import * as Errors from "./errors";
+export { Errors };
+
+export { Logger, ConsoleLogger } from "./logger";
+
+export { ClientPool, ClientPoolOptions } from "./client_pool";
+
+export { ChatList, ChatListOptions } from "./chat_list";
+
+export { Paginator, PageRequest, PaginateOptions } from "./paginator";
+
+export { CacheBackend, CachePolicy, CacheStats, MemoryCache, FileCache } from "./cache";
+
+export { FakeTDLib, FakeTDLibOptions, FakeResponse } from "./fake_tdlib";
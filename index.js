@@ -1,5 +1,14 @@
 exports.TdClientActor = require('./td_client_actor.js').TdClientActor
 exports.Bot = require('./bot_api.js').Bot
+exports.UserClient = require('./user_client.js').UserClient
+exports.ClientPool = require('./client_pool.js').ClientPool
+exports.ChatList = require('./chat_list.js').ChatList
+exports.Paginator = require('./paginator.js').Paginator
+exports.MemoryCache = require('./cache.js').MemoryCache
+exports.FileCache = require('./cache.js').FileCache
+exports.FakeTDLib = require('./fake_tdlib.js').FakeTDLib
 // @ts-ignore
 exports.TDLib = require('./tdlib.js').TDLib
 exports.Utils = require('./util.js')
+exports.Errors = require('./errors.js')
+exports.ConsoleLogger = require('./logger.js').ConsoleLogger
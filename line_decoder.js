@@ -0,0 +1,53 @@
+const { Transform } = require('stream')
+
+/**
+ * Splits a byte stream into newline-terminated lines, whatever the chunk boundaries are.
+ * Used to read the updates written to the pipe in fdpipe polling mode.
+ * Being a stream, it pauses the source while its consumer is behind.
+ */
+class LineDecoder extends Transform {
+    /**
+     * @param {number} [high_water_mark] Number of decoded lines buffered before the source is paused. Defaults to 1024.
+     */
+    constructor(high_water_mark = 1024) {
+        super({ readableObjectMode: true, readableHighWaterMark: high_water_mark })
+        /** @type {Buffer[]} */
+        this._partial = []
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @param {string} encoding
+     * @param {(error?: Error) => void} callback
+     */
+    _transform(chunk, encoding, callback) {
+        let start = 0
+        let end = chunk.indexOf(10)
+        while (end !== -1) {
+            let line = chunk.slice(start, end)
+            if (this._partial.length > 0) {
+                this._partial.push(line)
+                line = Buffer.concat(this._partial)
+                this._partial = []
+            }
+            if (line.length > 0) this.push(line.toString('utf8'))
+            start = end + 1
+            end = chunk.indexOf(10, start)
+        }
+        if (start < chunk.length) this._partial.push(chunk.slice(start))
+        callback()
+    }
+
+    /**
+     * @param {(error?: Error) => void} callback
+     */
+    _flush(callback) {
+        if (this._partial.length > 0) {
+            this.push(Buffer.concat(this._partial).toString('utf8'))
+            this._partial = []
+        }
+        callback()
+    }
+}
+
+exports.LineDecoder = LineDecoder
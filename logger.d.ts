@@ -0,0 +1,21 @@
+declare export interface Logger {
+    debug(message: string, fields?: object): void;
+    info(message: string, fields?: object): void;
+    warn(message: string, fields?: object): void;
+    error(message: string, fields?: object): void;
+}
+
+/** Logger writing to the console, used when no logger is passed to the client. */
+declare export class ConsoleLogger implements Logger {
+    /** @param level Minimum level to output. Defaults to info. */
+    constructor(level?: 'debug' | 'info' | 'warn' | 'error');
+    debug(message: string, fields?: object): void;
+    info(message: string, fields?: object): void;
+    warn(message: string, fields?: object): void;
+    error(message: string, fields?: object): void;
+}
+
+/** Wrap a logger so that every entry carries the given fields. */
+declare export function withFields(logger: Logger, base_fields: object): Logger;
+
+export as namespace Logger;
@@ -0,0 +1,66 @@
+const { inspect } = require('util')
+
+/**
+ * @typedef Logger
+ * @property {(message: string, fields?: object) => void} debug
+ * @property {(message: string, fields?: object) => void} info
+ * @property {(message: string, fields?: object) => void} warn
+ * @property {(message: string, fields?: object) => void} error
+ */
+
+const levels = ['debug', 'info', 'warn', 'error']
+
+/**
+ * Logger writing to the console, used when no logger is passed to the client.
+ */
+class ConsoleLogger {
+    /**
+     * @param {"debug"|"info"|"warn"|"error"} [level] Minimum level to output.
+     */
+    constructor(level = 'info') {
+        this._level = levels.indexOf(level)
+        if (this._level === -1) throw new Error(`unknown log level: ${level}`)
+    }
+
+    debug(message, fields) { this._write(0, message, fields) }
+    info(message, fields) { this._write(1, message, fields) }
+    warn(message, fields) { this._write(2, message, fields) }
+    error(message, fields) { this._write(3, message, fields) }
+
+    /**
+     * @private
+     * @param {number} level
+     * @param {string} message
+     * @param {object} [fields]
+     */
+    _write(level, message, fields = {}) {
+        if (level < this._level) return
+        const rest = Object.assign({}, fields)
+        const { identifier, error } = rest
+        delete rest.identifier
+        delete rest.error
+        let line = `${levels[level].toUpperCase()}${identifier ? ` [${identifier}]` : ''} ${message}`
+        if (Object.keys(rest).length > 0) line += ` ${inspect(rest, { breakLength: Infinity })}`
+        if (error) line += `\n${error.stack || inspect(error)}`
+        if (level >= 2) console.error(line)
+        else console.log(line)
+    }
+}
+
+/**
+ * Wrap a logger so that every entry carries the given fields.
+ * @param {Logger} logger
+ * @param {object} base_fields
+ * @returns {Logger}
+ */
+function withFields(logger, base_fields) {
+    /** @type {any} */
+    const wrapped = {}
+    for (const level of levels) {
+        wrapped[level] = (message, fields) => logger[level](message, Object.assign({}, base_fields, fields))
+    }
+    return wrapped
+}
+
+exports.ConsoleLogger = ConsoleLogger
+exports.withFields = withFields
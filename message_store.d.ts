@@ -0,0 +1,31 @@
+import * as TdTypes from "./td_types";
+
+declare export interface MessageStoreOptions {
+    /** Number of latest messages kept per chat. Defaults to 100. */
+    max_messages_per_chat?: number;
+    /** Number of chats with kept messages. The least recently active chat is dropped first. Defaults to 1000. */
+    max_chats?: number;
+}
+
+/**
+ * Keeps the latest messages of every chat, fed by message updates.
+ * Every chat is a ring buffer: once it is full, the oldest message is dropped for a new one.
+ */
+declare export class MessageStore {
+    constructor(options?: MessageStoreOptions);
+    /** Message update types the store is fed by. */
+    static readonly updateTypes: string[];
+    /** Apply a message update. Returns the messages removed by a permanent deletion. */
+    apply(update: TdTypes.Update): TdTypes.message[];
+    /** Store a message as the newest of its chat. */
+    add(message: TdTypes.message): void;
+    get(chat_id: number, message_id: number): TdTypes.message | undefined;
+    /** Version of the message before its last edit. Undefined if the message isn't stored or wasn't edited since. */
+    getPrevious(chat_id: number, message_id: number): TdTypes.message | undefined;
+    /** Stored messages of a chat, oldest first. */
+    messages(chat_id: number): TdTypes.message[];
+    /** Forget the messages of a chat, or of every chat. */
+    clear(chat_id?: number): void;
+}
+
+export as namespace MessageStore;
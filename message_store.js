@@ -0,0 +1,181 @@
+/**
+ * @typedef MessageStoreOptions
+ * @property {number} [max_messages_per_chat] Number of latest messages kept per chat. Defaults to 100.
+ * @property {number} [max_chats] Number of chats with kept messages. The least recently active chat is dropped first. Defaults to 1000.
+ */
+
+/**
+ * @typedef StoredMessage
+ * @property {object} message Current version of the message.
+ * @property {object|null} previous Version before the last edit, null if the message wasn't edited since it was stored.
+ * @property {boolean} edit_pending The content changed and updateMessageEdited is still to come.
+ */
+
+/**
+ * Keeps the latest messages of every chat, fed by message updates.
+ * Every chat is a ring buffer: once it is full, the oldest message is dropped for a new one.
+ */
+class MessageStore {
+    /**
+     * @param {MessageStoreOptions} [options]
+     */
+    constructor(options = {}) {
+        this._max_messages_per_chat = options.max_messages_per_chat || 100
+        this._max_chats = options.max_chats || 1000
+        /** @type {Map<number, Map<number, StoredMessage>>} */
+        this._chats = new Map()
+        /** @type {StoredMessage|null} Message whose content changed by the last update. */
+        this._edit_pending = null
+    }
+
+    /**
+     * Message update types the store is fed by.
+     */
+    static get updateTypes() {
+        return ['updateNewMessage', 'updateMessageContent', 'updateMessageEdited', 'updateDeleteMessages', 'updateMessageSendSucceeded']
+    }
+
+    /**
+     * Apply a message update.
+     * @param {object} update
+     * @returns {object[]} Messages removed by a permanent deletion, empty for other updates.
+     */
+    apply(update) {
+        // TDLib sends updateMessageEdited right after the updateMessageContent of an edit,
+        // so any other message update means that the content changed without an edit.
+        const pending = this._edit_pending
+        if (pending && !(update['@type'] === 'updateMessageEdited' && pending.message.chat_id === update.chat_id && pending.message.id === update.message_id)) {
+            pending.edit_pending = false
+            this._edit_pending = null
+        }
+        switch (update['@type']) {
+            case 'updateNewMessage':
+                this.add(update.message)
+                break
+            case 'updateMessageSendSucceeded':
+                this._remove(update.message.chat_id, update.old_message_id)
+                this.add(update.message)
+                break
+            case 'updateMessageContent':
+                this._change(update.chat_id, update.message_id, { content: update.new_content }, true)
+                break
+            case 'updateMessageEdited':
+                this._change(update.chat_id, update.message_id, { edit_date: update.edit_date, reply_markup: update.reply_markup }, false)
+                break
+            case 'updateDeleteMessages':
+                // from_cache only means that TDLib dropped the messages from its own memory.
+                if (update.is_permanent && !update.from_cache) {
+                    return update.message_ids.map((id) => this._remove(update.chat_id, id)).filter((message) => message)
+                }
+                break
+        }
+        return []
+    }
+
+    /**
+     * Store a message as the newest of its chat.
+     * @param {object} message
+     */
+    add(message) {
+        let messages = this._chats.get(message.chat_id)
+        if (messages) {
+            // Re-insert to mark the chat as the most recently active.
+            this._chats.delete(message.chat_id)
+        } else {
+            messages = new Map()
+        }
+        this._chats.set(message.chat_id, messages)
+        messages.delete(message.id)
+        messages.set(message.id, { message, previous: null, edit_pending: false })
+        if (messages.size > this._max_messages_per_chat) messages.delete(messages.keys().next().value)
+        if (this._chats.size > this._max_chats) this._chats.delete(this._chats.keys().next().value)
+    }
+
+    /**
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @returns {object|undefined}
+     */
+    get(chat_id, message_id) {
+        const stored = this._find(chat_id, message_id)
+        return stored && stored.message
+    }
+
+    /**
+     * Version of the message before its last edit.
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @returns {object|undefined} Undefined if the message isn't stored or wasn't edited since.
+     */
+    getPrevious(chat_id, message_id) {
+        const stored = this._find(chat_id, message_id)
+        return stored && stored.previous || undefined
+    }
+
+    /**
+     * Stored messages of a chat, oldest first.
+     * @param {number} chat_id
+     * @returns {object[]}
+     */
+    messages(chat_id) {
+        const messages = this._chats.get(chat_id)
+        return messages ? Array.from(messages.values()).map((stored) => stored.message) : []
+    }
+
+    /**
+     * Forget the messages of a chat, or of every chat.
+     * @param {number} [chat_id]
+     */
+    clear(chat_id) {
+        if (chat_id === undefined) this._chats.clear()
+        else this._chats.delete(chat_id)
+    }
+
+    /**
+     * @private
+     * @param {number} chat_id
+     * @param {number} message_id
+     */
+    _find(chat_id, message_id) {
+        const messages = this._chats.get(chat_id)
+        return messages && messages.get(message_id)
+    }
+
+    /**
+     * Replace the message by a changed copy, so that the previous version stays intact.
+     * An edit arrives as updateMessageContent followed by updateMessageEdited, or as updateMessageEdited alone
+     * if only the reply markup changed. The previous version is taken at the first of them.
+     * Content changes without an edit, like live locations, aren't followed by updateMessageEdited
+     * and are forgotten on the next message update, so that a later edit takes its own previous version.
+     * @private
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @param {object} fields
+     * @param {boolean} is_content
+     */
+    _change(chat_id, message_id, fields, is_content) {
+        const stored = this._find(chat_id, message_id)
+        if (!stored) return
+        if (!stored.edit_pending) stored.previous = stored.message
+        stored.edit_pending = is_content
+        this._edit_pending = is_content ? stored : null
+        stored.message = Object.assign({}, stored.message, fields)
+    }
+
+    /**
+     * @private
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @returns {object|undefined} The removed message.
+     */
+    _remove(chat_id, message_id) {
+        const messages = this._chats.get(chat_id)
+        const stored = messages && messages.get(message_id)
+        if (!stored) return undefined
+        messages.delete(message_id)
+        if (messages.size === 0) this._chats.delete(chat_id)
+        return stored.message
+    }
+}
+
+exports.MessageStore = MessageStore
@@ -0,0 +1,30 @@
+import { TdClientActor, RunOptions } from "./td_client_actor";
+
+declare export interface RequestContext {
+    type: 'request';
+    /** Method name, may be changed before calling next(). */
+    method: string;
+    /** Parameters, may be changed or replaced before calling next(). */
+    params: any;
+    options: RunOptions;
+    client: TdClientActor;
+}
+
+declare export interface UpdateContext {
+    type: 'update';
+    /** The update, may be changed or replaced before calling next(). */
+    update: any;
+    client: TdClientActor;
+}
+
+/**
+ * Middleware for requests and updates.
+ * For requests, `next()` returns a Promise of the response, and the middleware returns the response or a Promise of it.
+ * For updates, the update is dropped unless `next()` is called, which should happen synchronously to keep updates in order.
+ */
+declare export type Middleware = (ctx: RequestContext | UpdateContext, next: () => any) => any;
+
+/** Chain middlewares so that each one calls the next through `next()`, ending with `final`. */
+declare export function compose(middlewares: Middleware[], final: (ctx: any) => any): (ctx: any) => any;
+
+export as namespace Middleware;
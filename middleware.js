@@ -0,0 +1,43 @@
+/**
+ * @typedef RequestContext
+ * @property {"request"} type
+ * @property {string} method Method name, may be changed before calling next().
+ * @property {object} params Parameters, may be changed or replaced before calling next().
+ * @property {import('./td_client_actor').RunOptions} options
+ * @property {import('./td_client_actor').TdClientActor} client
+ */
+
+/**
+ * @typedef UpdateContext
+ * @property {"update"} type
+ * @property {object} update The update, may be changed or replaced before calling next().
+ * @property {import('./td_client_actor').TdClientActor} client
+ */
+
+/**
+ * @callback Middleware
+ * @param {RequestContext|UpdateContext} ctx
+ * @param {() => any} next Calls the rest of the chain. For requests, it returns a Promise of the response.
+ * @returns {any} For requests, the response or a Promise of it.
+ */
+
+/**
+ * Chain middlewares so that each one calls the next through `next()`, ending with `final`.
+ * @param {Middleware[]} middlewares
+ * @param {(ctx: any) => any} final
+ * @returns {(ctx: any) => any}
+ */
+function compose(middlewares, final) {
+    return (ctx) => {
+        let last = -1
+        const dispatch = (index) => {
+            if (index <= last) throw new Error('next() called multiple times')
+            last = index
+            if (index === middlewares.length) return final(ctx)
+            return middlewares[index](ctx, () => dispatch(index + 1))
+        }
+        return dispatch(0)
+    }
+}
+
+exports.compose = compose
@@ -0,0 +1,42 @@
+import { TdClientActor } from "./td_client_actor";
+
+/** How a TDLib list method is paged. */
+declare export interface PageRequest<T = any> {
+    method: string;
+    /** Parameters of the first request, without the limit. */
+    params: object;
+    /** Largest limit accepted by the method. */
+    page_size: number;
+    /** Items of a response. */
+    items(result: any): T[];
+    /** Identity of an item, to skip items repeated by the following page. */
+    key(item: T): string | number;
+    /** Parameters of the following request, null at the end of the list. */
+    next(params: object, result: any, items: T[]): object | null;
+}
+
+declare export interface PaginateOptions<T = any> {
+    /** Maximum number of items. All items if not set. */
+    limit?: number;
+    /** Only items for which it returns true are yielded. */
+    filter?: (item: T) => boolean;
+    /** The iteration ends at the first item for which it returns true, which isn't yielded. */
+    until?: (item: T) => boolean;
+    /** Milliseconds between two requests, to stay below flood limits on long lists. Defaults to 0. */
+    interval?: number;
+    /** Aborts the request in flight and ends the iteration with an AbortError. */
+    signal?: AbortSignal;
+}
+
+/** Async iterator over the items of a TDLib list method, requesting the pages as they are consumed. */
+declare export class Paginator<T = any> implements AsyncIterableIterator<T> {
+    constructor(client: TdClientActor, request: PageRequest<T>, options?: PaginateOptions<T>);
+    next(): Promise<IteratorResult<T>>;
+    /** Stop iterating, e.g. on `break` out of `for await`. */
+    return(): Promise<IteratorResult<T>>;
+    [Symbol.asyncIterator](): this;
+    /** Collect the remaining items. */
+    toArray(): Promise<T[]>;
+}
+
+export as namespace Paginator;
@@ -0,0 +1,160 @@
+const { AbortError } = require('./errors')
+
+/**
+ * How a TDLib list method is paged.
+ * @typedef PageRequest
+ * @property {string} method
+ * @property {object} params Parameters of the first request, without the limit.
+ * @property {number} page_size Largest limit accepted by the method.
+ * @property {(result: object) => object[]} items Items of a response.
+ * @property {(item: object) => string|number} key Identity of an item, to skip items repeated by the following page.
+ * @property {(params: object, result: object, items: object[]) => object|null} next Parameters of the following request, null at the end of the list.
+ */
+
+/**
+ * @typedef PaginateOptions
+ * @property {number} [limit] Maximum number of items. All items if not set.
+ * @property {(item: object) => boolean} [filter] Only items for which it returns true are yielded.
+ * @property {(item: object) => boolean} [until] The iteration ends at the first item for which it returns true, which isn't yielded.
+ * @property {number} [interval] Milliseconds between two requests, to stay below flood limits on long lists. Defaults to 0.
+ * @property {AbortSignal} [signal] Aborts the request in flight and ends the iteration with an AbortError.
+ */
+
+/**
+ * Async iterator over the items of a TDLib list method, requesting the pages as they are consumed.
+ */
+class Paginator {
+    /**
+     * @param {import('./td_client_actor').TdClientActor} client
+     * @param {PageRequest} request
+     * @param {PaginateOptions} [options]
+     */
+    constructor(client, request, options = {}) {
+        this._client = client
+        this._request = request
+        this._limit = options.limit || 0
+        this._filter = options.filter || null
+        this._until = options.until || null
+        this._interval = options.interval || 0
+        this._signal = options.signal
+        /** @type {object|null} */
+        this._params = request.params
+        /** @type {object[]} */
+        this._buffer = []
+        /** @type {Set<string|number>} */
+        this._previous_keys = new Set()
+        this._count = 0
+        this._done = false
+        this._last_request_time = 0
+        this._queue = Promise.resolve()
+    }
+
+    /**
+     * @returns {Promise<IteratorResult<object>>}
+     */
+    next() {
+        // Calls without awaiting the previous one still get the items in order.
+        const result = this._queue.then(() => this._next())
+        this._queue = result.catch(() => {})
+        return result
+    }
+
+    /**
+     * Stop iterating, e.g. on `break` out of `for await`.
+     * @returns {Promise<IteratorResult<object>>}
+     */
+    return() {
+        this._finish()
+        return Promise.resolve({ value: undefined, done: true })
+    }
+
+    [Symbol.asyncIterator]() {
+        return this
+    }
+
+    /**
+     * Collect the remaining items.
+     * @returns {Promise<object[]>}
+     */
+    async toArray() {
+        const items = []
+        for (let result = await this.next(); !result.done; result = await this.next()) items.push(result.value)
+        return items
+    }
+
+    /**
+     * @private
+     * @returns {Promise<IteratorResult<object>>}
+     */
+    async _next() {
+        while (!this._done) {
+            if (this._buffer.length === 0) {
+                if (this._params === null) break
+                await this._fetch()
+                continue
+            }
+            const item = this._buffer.shift()
+            if (this._until && this._until(item)) break
+            if (this._filter && !this._filter(item)) continue
+            this._count++
+            if (this._limit > 0 && this._count >= this._limit) this._finish()
+            return { value: item, done: false }
+        }
+        this._finish()
+        return { value: undefined, done: true }
+    }
+
+    /**
+     * Request the next page.
+     * @private
+     */
+    async _fetch() {
+        const wait = this._last_request_time + this._interval - Date.now()
+        if (this._last_request_time > 0 && wait > 0) await this._sleep(wait)
+        const request = this._request
+        // Without a filter, no more items than needed are requested.
+        const remaining = this._limit > 0 && !this._filter ? this._limit - this._count : Infinity
+        const params = Object.assign({}, this._params, { limit: Math.min(request.page_size, remaining) })
+        this._last_request_time = Date.now()
+        const result = await this._client.run(request.method, params, { signal: this._signal })
+        const items = request.items(result).filter((item) => item)
+        const keys = new Set(items.map(request.key))
+        this._buffer = items.filter((item) => !this._previous_keys.has(request.key(item)))
+        this._previous_keys = keys
+        this._params = this._buffer.length > 0 ? request.next(this._params, result, items) : null
+    }
+
+    /**
+     * Wait between two requests, ending early with an AbortError when the signal is aborted.
+     * @private
+     * @param {number} ms
+     * @returns {Promise<void>}
+     */
+    _sleep(ms) {
+        const signal = this._signal
+        return new Promise((rs, rj) => {
+            const onAbort = () => {
+                clearTimeout(timer)
+                rj(new AbortError(this._request.method, this._params))
+            }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort)
+                rs()
+            }, ms)
+            if (!signal) return
+            if (signal.aborted) return onAbort()
+            signal.addEventListener('abort', onAbort)
+        })
+    }
+
+    /**
+     * @private
+     */
+    _finish() {
+        this._done = true
+        this._buffer = []
+        this._params = null
+    }
+}
+
+exports.Paginator = Paginator
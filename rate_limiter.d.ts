@@ -0,0 +1,42 @@
+declare export interface RateLimit {
+    /** Number of messages allowed per interval. */
+    limit: number;
+    /** Interval in milliseconds. */
+    interval: number;
+}
+
+declare export interface RateLimitOptions {
+    /** Limit across all chats. Defaults to 30 messages per second. */
+    global?: RateLimit;
+    /** Limit per private chat. Defaults to 1 message per second. */
+    private?: RateLimit;
+    /** Limit per group, supergroup or channel. Defaults to 20 messages per minute. */
+    group?: RateLimit;
+}
+
+/** Token bucket which refills continuously. */
+declare export class TokenBucket {
+    constructor(rate: RateLimit);
+    readonly capacity: number;
+    /** Milliseconds until `cost` tokens can be taken. */
+    delay(cost?: number): number;
+    take(cost?: number): void;
+    isFull(): boolean;
+}
+
+/** Schedules outgoing messages under a global and per-chat token buckets, round-robin between chats. */
+declare export class SendScheduler {
+    constructor(options?: RateLimitOptions);
+    /** Number of queued jobs. */
+    readonly size: number;
+    /**
+     * Queue a send task for a chat.
+     * @param priority Jobs with higher priority are sent first. Defaults to 0.
+     * @param cost Number of messages the task sends. Defaults to 1.
+     */
+    schedule<T>(chat_id: number, task: () => Promise<T>, priority?: number, cost?: number): Promise<T>;
+    /** Reject all queued jobs. */
+    clear(error: Error): void;
+}
+
+export as namespace RateLimiter;
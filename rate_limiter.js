@@ -0,0 +1,226 @@
+/**
+ * @typedef RateLimit
+ * @property {number} limit Number of messages allowed per interval.
+ * @property {number} interval Interval in milliseconds.
+ */
+
+/**
+ * @typedef RateLimitOptions
+ * @property {RateLimit} [global] Limit across all chats. Defaults to 30 messages per second.
+ * @property {RateLimit} [private] Limit per private chat. Defaults to 1 message per second.
+ * @property {RateLimit} [group] Limit per group, supergroup or channel. Defaults to 20 messages per minute.
+ */
+
+const default_limits = {
+    global: { limit: 30, interval: 1000 },
+    private: { limit: 1, interval: 1000 },
+    group: { limit: 20, interval: 60 * 1000 }
+}
+
+/**
+ * Token bucket which refills continuously.
+ * Taking more tokens than available is allowed once the bucket holds enough for a burst,
+ * the debt then delays following takes.
+ */
+class TokenBucket {
+    /**
+     * @param {RateLimit} rate
+     */
+    constructor(rate) {
+        this.capacity = rate.limit
+        this._rate = rate.limit / rate.interval
+        this._tokens = rate.limit
+        this._last_refill = Date.now()
+    }
+
+    _refill() {
+        const now = Date.now()
+        this._tokens = Math.min(this.capacity, this._tokens + (now - this._last_refill) * this._rate)
+        this._last_refill = now
+    }
+
+    /**
+     * Milliseconds until `cost` tokens can be taken.
+     * @param {number} [cost]
+     */
+    delay(cost = 1) {
+        this._refill()
+        const needed = Math.min(cost, this.capacity)
+        if (this._tokens >= needed) return 0
+        return Math.ceil((needed - this._tokens) / this._rate)
+    }
+
+    /**
+     * @param {number} [cost]
+     */
+    take(cost = 1) {
+        this._refill()
+        this._tokens -= cost
+    }
+
+    /**
+     * Whether the bucket is full, i.e. it carries no state worth keeping.
+     */
+    isFull() {
+        this._refill()
+        return this._tokens >= this.capacity
+    }
+}
+
+/**
+ * Schedules outgoing messages under a global and per-chat token buckets.
+ * Jobs of the same chat run in priority order, chats take turns in round-robin
+ * so that one busy chat can't starve the others.
+ */
+class SendScheduler {
+    /**
+     * @param {RateLimitOptions} [options]
+     */
+    constructor(options = {}) {
+        this._limits = {
+            global: options.global || default_limits.global,
+            private: options.private || default_limits.private,
+            group: options.group || default_limits.group
+        }
+        this._global = new TokenBucket(this._limits.global)
+        /** @type {Map<number, TokenBucket>} */
+        this._buckets = new Map()
+        /** @type {Map<number, object[]>} */
+        this._queues = new Map()
+        /** @type {number[]} */
+        this._ring = []
+        this._cursor = 0
+        this._timer = null
+    }
+
+    /**
+     * Queue a send task for a chat.
+     * @template T
+     * @param {number} chat_id
+     * @param {() => Promise<T>} task Function performing the actual request.
+     * @param {number} [priority] Jobs with higher priority are sent first. Defaults to 0.
+     * @param {number} [cost] Number of messages the task sends. Defaults to 1.
+     * @returns {Promise<T>}
+     */
+    schedule(chat_id, task, priority = 0, cost = 1) {
+        return new Promise((rs, rj) => {
+            const job = { task, priority, cost, rs, rj }
+            let queue = this._queues.get(chat_id)
+            if (!queue) {
+                queue = []
+                this._queues.set(chat_id, queue)
+                this._ring.push(chat_id)
+            }
+            let index = queue.length
+            while (index > 0 && queue[index - 1].priority < priority) index--
+            queue.splice(index, 0, job)
+            this._drain()
+        })
+    }
+
+    /**
+     * Number of queued jobs.
+     */
+    get size() {
+        let size = 0
+        for (const queue of this._queues.values()) size += queue.length
+        return size
+    }
+
+    /**
+     * Reject all queued jobs.
+     * @param {Error} error
+     */
+    clear(error) {
+        if (this._timer) clearTimeout(this._timer)
+        this._timer = null
+        for (const queue of this._queues.values()) {
+            for (const job of queue) job.rj(error)
+        }
+        this._queues.clear()
+        this._ring = []
+        this._cursor = 0
+    }
+
+    /**
+     * @private
+     * @param {number} chat_id
+     */
+    _getBucket(chat_id) {
+        let bucket = this._buckets.get(chat_id)
+        if (!bucket) {
+            bucket = new TokenBucket(chat_id > 0 ? this._limits.private : this._limits.group)
+            this._buckets.set(chat_id, bucket)
+        }
+        return bucket
+    }
+
+    /**
+     * Run every job that is allowed now and arm a timer for the next one.
+     * @private
+     */
+    _drain() {
+        if (this._timer) {
+            clearTimeout(this._timer)
+            this._timer = null
+        }
+        while (this._ring.length > 0) {
+            let chosen = -1
+            let wait = Infinity
+            for (let i = 0; i < this._ring.length; i++) {
+                const index = (this._cursor + i) % this._ring.length
+                const chat_id = this._ring[index]
+                const head = this._queues.get(chat_id)[0]
+                const delay = this._getBucket(chat_id).delay(head.cost)
+                if (delay > 0) {
+                    wait = Math.min(wait, delay)
+                } else if (chosen === -1 || head.priority > this._queues.get(this._ring[chosen])[0].priority) {
+                    chosen = index
+                }
+            }
+            if (chosen === -1) return this._arm(wait)
+
+            const chat_id = this._ring[chosen]
+            const queue = this._queues.get(chat_id)
+            const global_delay = this._global.delay(queue[0].cost)
+            if (global_delay > 0) return this._arm(global_delay)
+
+            const job = queue.shift()
+            this._global.take(job.cost)
+            this._getBucket(chat_id).take(job.cost)
+            if (queue.length === 0) {
+                this._queues.delete(chat_id)
+                this._ring.splice(chosen, 1)
+                this._cursor = this._ring.length > 0 ? chosen % this._ring.length : 0
+            } else {
+                this._cursor = (chosen + 1) % this._ring.length
+            }
+            Promise.resolve().then(job.task).then(job.rs, job.rj)
+        }
+        this._sweep()
+    }
+
+    /**
+     * @private
+     * @param {number} ms
+     */
+    _arm(ms) {
+        this._timer = setTimeout(() => {
+            this._timer = null
+            this._drain()
+        }, ms)
+    }
+
+    /**
+     * Forget buckets of idle chats.
+     * @private
+     */
+    _sweep() {
+        for (const [chat_id, bucket] of this._buckets) {
+            if (!this._queues.has(chat_id) && bucket.isFull()) this._buckets.delete(chat_id)
+        }
+    }
+}
+
+exports.TokenBucket = TokenBucket
+exports.SendScheduler = SendScheduler
@@ -0,0 +1,41 @@
+// Receives and parses TDLib updates of one client off the main thread, for the 'worker' polling mode.
+// Only responses to requests and update types the client subscribes to are passed back.
+const { parentPort, workerData } = require('worker_threads')
+const { TDLib: lib } = require('./tdlib')
+
+const { instance_id, timeout } = workerData
+const types = new Set(workerData.types)
+let running = true
+
+parentPort.on('message', (message) => {
+    if (message.type === 'subscribe') types.add(message.update_type)
+    else if (message.type === 'unsubscribe') types.delete(message.update_type)
+    else if (message.type === 'stop') running = false
+})
+
+function receive() {
+    if (!running) return process.exit(0)
+    let updates
+    try {
+        updates = lib.td_client_receive(instance_id, timeout)
+    } catch (e) {
+        parentPort.postMessage({ type: 'error', error: { message: e.message, stack: e.stack } })
+        return setTimeout(receive, 50)
+    }
+    const batch = []
+    for (const update_string of updates) {
+        let update
+        try {
+            update = JSON.parse(update_string)
+        } catch (e) {
+            parentPort.postMessage({ type: 'error', error: { message: e.message, stack: e.stack } })
+            continue
+        }
+        // '*' is subscribed while a wildcard handler exists.
+        if (update['@extra'] || types.has(update['@type']) || types.has('*')) batch.push(update)
+    }
+    if (batch.length > 0) parentPort.postMessage({ type: 'updates', updates: batch })
+    setImmediate(receive)
+}
+
+receive()
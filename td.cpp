@@ -1,18 +1,31 @@
 // This file has been modified towards a simplifier and more modern design provided by https://github.com/Bannerets/tdl/blob/develop/tdl-tdlib-addon/td.cpp
 
+#include <atomic>
 #include <iostream>
+#include <map>
+#include <mutex>
 #include <string>
+#include <thread>
 #include <vector>
 
 #ifdef HAVE_UNISTD_H
+#include <cerrno>
 #include <chrono>
-#include <map>
-#include <mutex>
+#include <cstring>
+#include <fcntl.h>
 #include <unistd.h>
-#include <thread>
 
-std::map<int64_t, int> clientFdMapping;
+// The receiver fd is non-blocking, so the receive loop never waits on a full pipe while it holds clientFdMutex.
+// The part of a frame which didn't fit into the pipe is kept until the reader drains it.
+struct ReceiverFd {
+    int fd;
+    std::string pending;
+};
+
+std::map<int64_t, ReceiverFd> clientFdMapping;
 std::mutex clientFdMutex;
+// Init runs once per JS context, e.g. again inside worker threads; only one receive loop may run.
+std::once_flag receiveLoopStarted;
 #endif
 
 using namespace std;
@@ -33,7 +46,7 @@ void td_client_destroy(const Napi::CallbackInfo& info) {
     auto client = (void*) client_id;
     std::lock_guard<std::mutex> guard(clientFdMutex);
     if (clientFdMapping.find(client_id) != clientFdMapping.end()) {
-        int fd = clientFdMapping.at(client_id);
+        int fd = clientFdMapping.at(client_id).fd;
         close(fd);
     }
     clientFdMapping.erase(client_id);
@@ -50,17 +63,38 @@ void td_client_send(const Napi::CallbackInfo& info) {
 }
 
 #ifdef HAVE_UNISTD_H
+// Every message is written as one line. JSON produced by TDLib never contains a raw newline,
+// so the reader can split the stream on '\n' regardless of how the pipe chunks it.
+// Returns whether the whole pending frame was written.
+bool FlushFrame(ReceiverFd &receiver) {
+    while (!receiver.pending.empty()) {
+        ssize_t written = write(receiver.fd, receiver.pending.data(), receiver.pending.size());
+        if (written < 0) {
+            if (errno == EINTR) continue;
+            if (errno == EAGAIN || errno == EWOULDBLOCK) return false;
+            // The reader is gone, the frame can't be delivered anymore.
+            receiver.pending.clear();
+            return true;
+        }
+        receiver.pending.erase(0, written);
+    }
+    return true;
+}
+
 void ReceiveLoopThread() {
     while (true) {
-        if (!clientFdMapping.empty()) {
+        {
             std::lock_guard<std::mutex> guard(clientFdMutex);
-            for (auto const &clientFd : clientFdMapping) {
+            for (auto &clientFd : clientFdMapping) {
                 auto client = (void*) clientFd.first;
-                int fd = clientFd.second;
+                ReceiverFd &receiver = clientFd.second;
+                // A client whose pipe is full isn't received from until the reader catches up.
+                if (!FlushFrame(receiver)) continue;
                 const char *data = td_json_client_receive(client, 0);
                 if (data != NULL) {
-                    size_t length = strlen(data);
-                    write(fd, data, length);
+                    receiver.pending = data;
+                    receiver.pending.push_back('\n');
+                    FlushFrame(receiver);
                 }
             }
         }
@@ -108,6 +142,89 @@ void td_client_receive_async(const Napi::CallbackInfo& info) {
     (new ReceiverAsyncWorker(cb, client, timeout))->Queue();
 }
 
+// Push delivery: a dedicated thread per client blocks in td_json_client_receive
+// and hands batches of results to JS through a ThreadSafeFunction.
+struct PushReceiver {
+    void *client;
+    double timeout;
+    size_t max_batch;
+    std::atomic<bool> stopping;
+    std::thread thread;
+    Napi::ThreadSafeFunction tsfn;
+    Napi::FunctionReference on_stopped;
+};
+
+std::map<int64_t, PushReceiver*> pushReceivers;
+std::mutex pushReceiversMutex;
+
+void PushReceiveThread(PushReceiver *receiver) {
+    auto deliver = [](Napi::Env env, Napi::Function callback, std::vector<std::string> *batch) {
+        if (env != nullptr && callback != nullptr) {
+            Napi::Array updates = Napi::Array::New(env, batch->size());
+            for (size_t i = 0; i < batch->size(); i++) {
+                updates.Set(i, Napi::String::New(env, (*batch)[i]));
+            }
+            callback.Call({updates});
+        }
+        delete batch;
+    };
+    while (!receiver->stopping) {
+        const char *data = td_json_client_receive(receiver->client, receiver->timeout);
+        if (data == NULL) continue;
+        auto batch = new std::vector<std::string>();
+        batch->emplace_back(data);
+        while (batch->size() < receiver->max_batch && (data = td_json_client_receive(receiver->client, 0)) != NULL) {
+            batch->emplace_back(data);
+        }
+        if (receiver->tsfn.BlockingCall(batch, deliver) != napi_ok) {
+            delete batch;
+            break;
+        }
+    }
+    receiver->tsfn.Release();
+}
+
+// param 1: int client_id
+// param 2: double timeout
+// param 3: int max_batch
+// param 4: function callback(updates: string[])
+void start_push_receiver(const Napi::CallbackInfo& info) {
+    Napi::Env env = info.Env();
+    int64_t client_id = info[0].As<Napi::Number>().Int64Value();
+    std::lock_guard<std::mutex> guard(pushReceiversMutex);
+    if (pushReceivers.find(client_id) != pushReceivers.end()) {
+        throw Napi::Error::New(env, "push receiver is already started");
+    }
+    auto receiver = new PushReceiver();
+    receiver->client = (void*) client_id;
+    receiver->timeout = info[1].As<Napi::Number>().DoubleValue();
+    receiver->max_batch = info[2].As<Napi::Number>().Uint32Value();
+    receiver->stopping = false;
+    receiver->tsfn = Napi::ThreadSafeFunction::New(env, info[3].As<Napi::Function>(), "tdlib push receiver", 0, 1, [receiver](Napi::Env env) {
+        // The thread released the function as its last step, so joining doesn't block for long.
+        receiver->thread.join();
+        if (!receiver->on_stopped.IsEmpty()) receiver->on_stopped.Call({});
+        delete receiver;
+    });
+    receiver->thread = std::thread(PushReceiveThread, receiver);
+    pushReceivers[client_id] = receiver;
+}
+
+// param 1: int client_id
+// param 2: function callback() called once the receive thread has exited
+void stop_push_receiver(const Napi::CallbackInfo& info) {
+    int64_t client_id = info[0].As<Napi::Number>().Int64Value();
+    std::lock_guard<std::mutex> guard(pushReceiversMutex);
+    auto it = pushReceivers.find(client_id);
+    if (it == pushReceivers.end()) return;
+    PushReceiver *receiver = it->second;
+    pushReceivers.erase(it);
+    if (info.Length() > 1 && info[1].IsFunction()) {
+        receiver->on_stopped = Napi::Persistent(info[1].As<Napi::Function>());
+    }
+    receiver->stopping = true;
+}
+
 // param 1: int client_id
 // param 2: double timeout
 Napi::Array td_client_receive(const Napi::CallbackInfo& info) {
@@ -153,9 +270,11 @@ Napi::Array create_pipe_fd(const Napi::CallbackInfo &info) {
 void register_receiver_fd(const Napi::CallbackInfo& info) {
     int64_t client_id = info[0].As<Napi::Number>().Int64Value();
     int32_t fd = info[1].As<Napi::Number>().Int32Value();
+    int flags = fcntl(fd, F_GETFL);
+    if (flags != -1) fcntl(fd, F_SETFL, flags | O_NONBLOCK);
     std::lock_guard<std::mutex> guard(clientFdMutex);
     clientFdMapping.erase(client_id);
-    clientFdMapping.insert(std::map<int64_t, int>::value_type(client_id, fd));
+    clientFdMapping.insert(std::map<int64_t, ReceiverFd>::value_type(client_id, ReceiverFd{fd, std::string()}));
 }
 
 void unregister_receiver_fd(const Napi::CallbackInfo& info) {
@@ -166,6 +285,7 @@ void unregister_receiver_fd(const Napi::CallbackInfo& info) {
 
 void clear_receiver_fd(const Napi::CallbackInfo& info) {
     int64_t client_id = info[0].As<Napi::Number>().Int64Value();
+    std::lock_guard<std::mutex> guard(clientFdMutex);
     clientFdMapping.clear();
 }
 
@@ -184,6 +304,10 @@ Napi::Object Init(Napi::Env env, Napi::Object exports) {
               Napi::Function::New(env, td_client_destroy));
     exports.Set(Napi::String::New(env, "td_client_execute"),
               Napi::Function::New(env, td_client_execute));
+    exports.Set(Napi::String::New(env, "start_push_receiver"),
+              Napi::Function::New(env, start_push_receiver));
+    exports.Set(Napi::String::New(env, "stop_push_receiver"),
+              Napi::Function::New(env, stop_push_receiver));
 #ifdef HAVE_UNISTD_H
     exports.Set(Napi::String::New(env, "create_pipe_fd"),
                 Napi::Function::New(env, create_pipe_fd));
@@ -193,8 +317,10 @@ Napi::Object Init(Napi::Env env, Napi::Object exports) {
                 Napi::Function::New(env, unregister_receiver_fd));
     exports.Set(Napi::String::New(env, "clear_receiver_fd"),
                 Napi::Function::New(env, clear_receiver_fd));
-    std::thread pollClient(ReceiveLoopThread);
-    pollClient.detach();
+    std::call_once(receiveLoopStarted, []() {
+        std::thread pollClient(ReceiveLoopThread);
+        pollClient.detach();
+    });
 #endif
     return exports;
 }
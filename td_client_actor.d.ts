@@ -1,17 +1,101 @@
 import { EventEmitter } from "events";
 import * as TdTypes from "./td_types";
+import { Logger } from "./logger";
+import { ClientPool } from "./client_pool";
+import { UpdateStream, UpdateStreamOptions } from "./update_stream";
+import { UpdateType, UpdateOf, OnUpdateOptions } from "./update_dispatcher";
+import { Middleware } from "./middleware";
+import { CacheBackend, CachePolicy, CacheStats } from "./cache";
+import { MessageStoreOptions } from "./message_store";
+import { Paginator, PaginateOptions } from "./paginator";
+import { RecordOptions } from "./traffic_recorder";
+import { TDLibBackend } from "./tdlib";
+import { ReplayOptions } from "./traffic_replayer";
 import { runInContext } from "vm";
 import { addListener } from "cluster";
 
+declare export interface HistoryOptions extends PaginateOptions<TdTypes.message> {
+    /** Message id to start from, the newest message if not set. */
+    from?: number;
+    /** Message id, date or condition at which the iteration ends. */
+    until?: number | Date | ((message: TdTypes.message) => boolean);
+}
+
 declare export interface TdClientActorOptions extends TdTypes.tdlibParameters$Input {
     /** Identifier between different TDLib instances. */
     identifier: string;
     /** The database encryption key.Usually the encryption key is never changed and is stored in some OS keychain. */
     database_encryption_key?: string; 
+    /** Seconds a receive call may wait for updates in async, worker and push modes. */
     poll_timeout?: number;
-    polling_mode?: 'sync' | 'async' | 'fdpipe';
+    /**
+     * How updates are received. In worker mode, updates are received and parsed in a worker thread
+     * and only update types with listeners are passed to the main thread, or every update when a middleware is used. Falls back to sync if worker_threads is unavailable.
+     * In push mode, a native thread receives updates and pushes them to the main thread in batches.
+     */
+    polling_mode?: 'sync' | 'async' | 'fdpipe' | 'worker' | 'push';
+    /** Maximum number of updates delivered at once in push mode. Defaults to 100. */
+    push_batch_size?: number;
     /** Whether to enable built-in chat cache. Dramatically increase memory usage and speed up queries. */
     use_cache?: boolean;
+    /** Size and age limits of the cache. Unbounded if not set. */
+    cache_policy?: CachePolicy;
+    /** Write the cache to the database directory on close() and restore it on start. */
+    persist_cache?: boolean;
+    /** Milliseconds after which a snapshot is too old to be restored. Defaults to 1 hour. */
+    persist_cache_max_age?: number;
+    /** Storage of the cache, e.g. a FileCache or a store shared between processes. A MemoryCache with cache_policy if not set. */
+    cache_backend?: CacheBackend;
+    /** Keep the latest messages of every chat in memory. Disabled if not set. */
+    message_store?: boolean | MessageStoreOptions;
+    /** Default timeout of run() in milliseconds. 0 means no timeout. */
+    request_timeout?: number;
+    /** Retry requests rejected with 429 Too Many Requests. Disabled if not set. */
+    flood_wait_retry?: FloodWaitRetryPolicy;
+    /** Logger with debug/info/warn/error methods. Every entry carries the client identifier. Entries are written to the console if not set. */
+    logger?: Logger;
+    /** Verbosity level of the internal TDLib log. TDLib defaults to 5. The setting is shared by all clients in the process, the client created last sets it. */
+    tdlib_log_verbosity?: number;
+    /** Path to write the internal TDLib log to. An empty string means stderr, false discards the log. Shared by all clients in the process, the client created last sets it. */
+    tdlib_log_file?: string | false;
+    /** Size in bytes after which the TDLib log file is rotated. Defaults to 10 MB. */
+    tdlib_log_max_file_size?: number;
+    /** Implementation of the TDLib functions, e.g. a FakeTDLib in tests. The native addon if not set. Worker polling mode falls back to sync with it. */
+    native?: TDLibBackend;
+    /** Append the requests and updates to an NDJSON file, with credentials and phone numbers redacted. A string is the path of the file. */
+    record?: string | RecordOptions;
+    /** Play a recording back instead of running TDLib. A string is the path of the file. */
+    replay?: string | ReplayOptions;
+    /** Set by ClientPool. The client is then polled by the pool and doesn't start its own loop. */
+    pool?: ClientPool;
+}
+
+declare export interface FloodWaitRetryOptions {
+    /** Maximum number of retries of a request. Defaults to 3. */
+    max_retries?: number;
+    /** Maximum retry_after in seconds that will be waited for. Longer flood waits are rejected immediately. Defaults to 60. */
+    max_wait?: number;
+}
+
+declare export interface FloodWaitRetryPolicy extends FloodWaitRetryOptions {
+    /** Per-method overrides. `false` disables retrying for the method. */
+    methods?: { [method: string]: FloodWaitRetryOptions | false };
+}
+
+declare export interface FloodWaitEvent {
+    method: string;
+    params: object;
+    /** Seconds to wait before the request is retried. */
+    retry_after: number;
+    /** Number of the attempt that hit the flood limit, starting from 1. */
+    attempt: number;
+}
+
+declare export interface RunOptions {
+    /** Timeout in milliseconds, overrides request_timeout. 0 means no timeout. */
+    timeout?: number;
+    /** Signal to abort waiting for the response. TDLib itself still processes the request. */
+    signal?: AbortSignal;
 }
 
 declare export class TdClientActor extends EventEmitter {
@@ -19,17 +103,111 @@ declare export class TdClientActor extends EventEmitter {
 
     protected _closed: boolean;
 
-    run: TdTypes.Invoke;
+    run: TdTypes.Invoke & ((method: string, params: object, options?: RunOptions) => Promise<any>);
 
     addListener(event: 'ready' | 'closed', listener: () => void): this;
     on(event: 'ready' | 'closed', listener: () => void): this;
     once(event: 'ready' | 'closed', listener: () => void): this;
 
+    /** Emitted when the server terminates the session, e.g. when the bot token is revoked. */
+    addListener(event: 'session_revoked', listener: () => void): this;
+    on(event: 'session_revoked', listener: () => void): this;
+    once(event: 'session_revoked', listener: () => void): this;
+
+    addListener(event: 'flood_wait', listener: (event: FloodWaitEvent) => void): this;
+    on(event: 'flood_wait', listener: (event: FloodWaitEvent) => void): this;
+    once(event: 'flood_wait', listener: (event: FloodWaitEvent) => void): this;
+
 
     addListener(event: string, listener: (data: TdTypes.Update | TdTypes.Error) => void): this;
     on(event: string, listener: (data: TdTypes.Update | TdTypes.Error) => void): this;
     once(event: string, listener: (data: TdTypes.Update | TdTypes.Error) => void): this;
 
+    /** Run a TDLib method synchronously. Only methods documented as "Can be called synchronously" are supported. */
+    execute(method: string, params?: object): any;
+
+    /** Set the verbosity level of the internal TDLib log. TDLib logging is shared by all clients in the process, the last setting wins. */
+    setTdlibLogVerbosity(level: number): TdTypes.Ok;
+    /** Set the verbosity level of a tag of the internal TDLib log, like "td_requests" or "actor". */
+    setTdlibLogTagVerbosity(tag: string, level: number): TdTypes.Ok;
+    /**
+     * Set where the internal TDLib log is written.
+     * @param file_path Path to the log file. An empty string restores the default stderr output, false discards the log.
+     * @param max_file_size Size in bytes after which the log file is rotated. Defaults to 10 MB.
+     */
+    setTdlibLogFile(file_path: string | false, max_file_size?: number): TdTypes.Ok;
+
+    /**
+     * Add a middleware for requests and updates. Middlewares run in the order they are added,
+     * the built-in cache is the innermost one, next to TDLib.
+     */
+    use(middleware: Middleware): this;
+
+    /**
+     * Subscribe to updates of a type.
+     * @param type Update type like `updateNewMessage`. `*` is a wildcard, e.g. `*` or `updateChat*`.
+     */
+    onUpdate<K extends UpdateType>(type: K, handler: (update: UpdateOf<K>) => any, options?: OnUpdateOptions<UpdateOf<K>>): this;
+    onUpdate(type: string, handler: (update: TdTypes.Update) => any, options?: OnUpdateOptions): this;
+    /** Remove a handler added with onUpdate(), using the same type. */
+    offUpdate<K extends UpdateType>(type: K, handler: (update: UpdateOf<K>) => any): this;
+    offUpdate(type: string, handler: (update: TdTypes.Update) => any): this;
+
+    /** Hit, miss and eviction counters and the number of entries of the cache. Null if the cache backend doesn't count. */
+    getCacheStats(): CacheStats | null;
+
+    /** A message kept by the message_store option. Undefined if the message isn't stored or the message store is disabled. */
+    getStoredMessage(chat_id: number, message_id: number): TdTypes.message | undefined;
+    /** Version of a stored message before its last edit. Undefined if the message isn't stored or wasn't edited since. */
+    getMessageBeforeEdit(chat_id: number, message_id: number): TdTypes.message | undefined;
+
+    /**
+     * Iterate over updates with `for await`.
+     * The iteration ends when the signal is aborted or the client is closed.
+     */
+    updates(options?: UpdateStreamOptions): UpdateStream;
+
+    /**
+     * Iterate over the history of a chat, from newer to older messages.
+     * @param options.from Message id to start from, the newest message if not set.
+     * @param options.until Message id, date or condition at which the iteration ends.
+     */
+    iterateHistory(chat_id: number, options?: HistoryOptions & { only_local?: boolean }): Paginator<TdTypes.message>;
+    /** Iterate over the messages of a chat matching a search, from newer to older messages. */
+    iterateChatMessages(chat_id: number, options?: HistoryOptions & {
+        query?: string;
+        sender_user_id?: number;
+        search_filter?: TdTypes.SearchMessagesFilter$Input;
+    }): Paginator<TdTypes.message>;
+    /** Iterate over the messages of all chats matching a search, from newer to older messages. */
+    iterateMessages(query: string, options?: PaginateOptions<TdTypes.message> & { until?: Date | ((message: TdTypes.message) => boolean) }): Paginator<TdTypes.message>;
+    /**
+     * Iterate over the members of a supergroup or channel.
+     * @param filter Recent members if not set.
+     */
+    iterateSupergroupMembers(supergroup_id: number, filter?: TdTypes.SupergroupMembersFilter$Input | null, options?: PaginateOptions<TdTypes.chatMember>): Paginator<TdTypes.chatMember>;
+    /** Iterate over the profile photos of a user, from the newest one. */
+    iterateUserProfilePhotos(user_id: number, options?: PaginateOptions<TdTypes.userProfilePhoto>): Paginator<TdTypes.userProfilePhoto>;
+    /** Iterate over the event log of a supergroup or channel, from newer to older events. Requires administrator rights. */
+    iterateChatEventLog(chat_id: number, options?: PaginateOptions<TdTypes.chatEvent> & {
+        query?: string;
+        filters?: TdTypes.chatEventLogFilters$Input;
+        user_ids?: number[];
+    }): Paginator<TdTypes.chatEvent>;
+
+    /**
+     * Close TDLib Client gracefully.
+     * Resolves once TDLib has flushed its database and the client is destroyed.
+     * Requests still waiting for a response are rejected with ClientClosedError.
+     */
+    close(): Promise<void>;
+
+    /**
+     * Log out of the session and delete its database directory.
+     * The session is revoked on the server, so it can't be used again; the client is closed afterwards.
+     */
+    logOut(): Promise<void>;
+
     destroy(): void;
 
 }
@@ -6,7 +6,55 @@ const rq = require('request')
 const fs = require('fs')
 const fsp = fs.promises
 const util = require('./util')
-const { inspect } = require('util')
+const { ConsoleLogger, withFields } = require('./logger')
+const { LineDecoder } = require('./line_decoder')
+const { UpdateStream } = require('./update_stream')
+const { UpdateDispatcher } = require('./update_dispatcher')
+const { compose } = require('./middleware')
+const { MemoryCache } = require('./cache')
+const { MessageStore } = require('./message_store')
+const { Paginator } = require('./paginator')
+const { TrafficRecorder } = require('./traffic_recorder')
+const { TrafficReplayer } = require('./traffic_replayer')
+const { TdError, FloodWaitError, ClientClosedError, TimeoutError, AbortError } = require('./errors')
+
+let worker_threads = null
+try {
+    worker_threads = require('worker_threads')
+} catch (e) {
+    // Node.js 10 without --experimental-worker, the worker polling mode falls back to sync.
+}
+
+const cacheable_updates = [
+    'updateNewChat',
+    'updateUser',
+    'updateBasicGroup',
+    'updateSupergroup',
+    'updateSecretChat',
+    'updateChatTitle',
+    'updateChatPhoto',
+    'updateChatLastMessage',
+    'updateChatOrder',
+    'updateChatReadInbox',
+    'updateChatReadOutbox',
+    'updateChatReplyMarkup',
+    'updateChatDraftMessage',
+    'updateChatNotificationSettings',
+    'updateChatUnreadMentionCount',
+    'updateChatIsPinned',
+    'updateChatDefaultDisableNotification',
+    'updateChatIsSponsored',
+    'updateChatIsMarkedAsUnread',
+    'updateUserStatus',
+    'updateUserFullInfo',
+    'updateBasicGroupFullInfo',
+    'updateSupergroupFullInfo'
+]
+
+const full_info_methods = ['getUserFullInfo', 'getBasicGroupFullInfo', 'getSupergroupFullInfo']
+
+const cache_snapshot_file = 'cache_snapshot.json'
+const cache_snapshot_version = 1
 
 /**
  * @enum Polling mode
@@ -31,10 +79,61 @@ const { inspect } = require('util')
  * @property {boolean} [enable_storage_optimizer] If set to true, old files will automatically be deleted.
  * @property {boolean} [ignore_file_names] If set to true, original file names will be ignored. Otherwise, downloaded files will be saved under names as close as possible to the original name.
  * @property {string} [database_encryption_key] The database encryption key. Usually the encryption key is never changed and is stored in some OS keychain.
- * @property {number} [poll_timeout]
- * @property {"sync"|"async"|"fdpipe"} [polling_mode]
+ * @property {number} [poll_timeout] Seconds a receive call may wait for updates in async, worker and push modes.
+ * @property {"sync"|"async"|"fdpipe"|"worker"|"push"} [polling_mode] In worker mode, updates are received and parsed in a worker thread and only subscribed update types are passed to the main thread. In push mode, a native thread receives updates and pushes them to the main thread in batches.
+ * @property {number} [push_batch_size] Maximum number of updates delivered at once in push mode. Defaults to 100.
  * @property {boolean} [use_cache]
+ * @property {import('./cache').CachePolicy} [cache_policy] Size and age limits of the cache. Unbounded if not set.
+ * @property {boolean} [persist_cache] Write the cache to the database directory on close() and restore it on start.
+ * @property {number} [persist_cache_max_age] Milliseconds after which a snapshot is too old to be restored. Defaults to 1 hour.
+ * @property {import('./cache').CacheBackend} [cache_backend] Storage of the cache, e.g. a FileCache or a store shared between processes. A MemoryCache with cache_policy if not set.
+ * @property {boolean|import('./message_store').MessageStoreOptions} [message_store] Keep the latest messages of every chat in memory. Disabled if not set.
+ * @property {number} [request_timeout] Default timeout of run() in milliseconds. 0 means no timeout.
+ * @property {FloodWaitRetryPolicy} [flood_wait_retry] Retry requests rejected with 429 Too Many Requests. Disabled if not set.
+ * @property {import('./logger').Logger} [logger] Logger with debug/info/warn/error methods. Entries are written to the console if not set.
+ * @property {number} [tdlib_log_verbosity] Verbosity level of the internal TDLib log. TDLib defaults to 5.
+ * @property {string|false} [tdlib_log_file] Path to write the internal TDLib log to. An empty string means stderr, false discards the log.
+ * @property {number} [tdlib_log_max_file_size] Size in bytes after which the TDLib log file is rotated. Defaults to 10 MB.
+ * @property {import('./tdlib').TDLibBackend} [native] Implementation of the TDLib functions, e.g. a FakeTDLib in tests. The native addon if not set.
+ * @property {string|import('./traffic_recorder').RecordOptions} [record] Append the requests and updates to an NDJSON file, with credentials and phone numbers redacted. A string is the path of the file.
+ * @property {string|import('./traffic_replayer').ReplayOptions} [replay] Play a recording back instead of running TDLib. A string is the path of the file.
+ * @property {import('./client_pool').ClientPool} [pool] Set by ClientPool. The client is then polled by the pool and doesn't start its own loop.
+ */
+
+/**
+ * @typedef FloodWaitRetryOptions
+ * @property {number} [max_retries] Maximum number of retries of a request. Defaults to 3.
+ * @property {number} [max_wait] Maximum retry_after in seconds that will be waited for. Longer flood waits are rejected immediately. Defaults to 60.
+ */
+
+/**
+ * @typedef {FloodWaitRetryOptions & {methods?: Object<string, FloodWaitRetryOptions | false>}} FloodWaitRetryPolicy
+ */
+
+/**
+ * @typedef RunOptions
+ * @property {number} [timeout] Timeout in milliseconds, overrides request_timeout. 0 means no timeout.
+ * @property {AbortSignal} [signal] Signal to abort waiting for the response.
+ */
+
+/**
+ * Run a TDLib method synchronously.
+ * @param {import('./tdlib').TDLibBackend} backend
+ * @param {number} client_id Client identifier. Methods which don't need a client, like the log settings, take 0.
+ * @param {string} method
+ * @param {object} params
  */
+function execute(backend, client_id, method, params) {
+    let req = params
+    req['@type'] = method
+    let result = backend.td_client_execute(client_id, JSON.stringify(req))
+    let stack_trace = new Error().stack.split('\n').slice(1).join('\n')
+    result = JSON.parse(result)
+    if (result['@type'] == 'error') {
+        throw TdError.fromResponse(result, method, params, stack_trace)
+    }
+    return result
+}
 
 class TdClientActor extends EventEmitter {
     /**
@@ -46,11 +145,29 @@ class TdClientActor extends EventEmitter {
             wildcard: true
         })
         this._closed = false
+        this._authorization_state = null
+        this._closing = null
+        /** Whether a logOut request is sent, to tell a requested logout from a revoked session. */
+        this._logging_out = false
+        this._receiving = false
+        this._worker = null
+        this._worker_exited = false
+        /** @type {Set<string>} */
+        this._worker_types = new Set()
+        this._pushing = false
+        /** @type {Map<string, (error: Error) => void>} */
+        this._pending = new Map()
         this._lastUpdateTime = 0
         this._lastUpdate = {}
-        this._cache = new Map()
+        this._cache = options.cache_backend || new MemoryCache(options.cache_policy)
+        this._messages = options.message_store ? new MessageStore(options.message_store === true ? {} : options.message_store) : null
         this._options = options
         if (!options.api_id || !options.api_hash || !('identifier' in options)) throw new Error('missing api_id, api_hash or identifier')
+        this._logger = withFields(options.logger || new ConsoleLogger(), { identifier: options.identifier })
+        this._dispatcher = new UpdateDispatcher(this._logger)
+        /** @type {import('./middleware').Middleware[]} */
+        this._middlewares = []
+        this._composeMiddlewares()
         let tdlib_param = {
             '@type': 'tdlibParameters'
         }
@@ -75,10 +192,25 @@ class TdClientActor extends EventEmitter {
             tdlib_param.use_chat_info_database = false
         }
         this._tdlib_param = tdlib_param
-        if (options.polling_mode) {
-            if (['sync', 'async', 'fdpipe'].indexOf(options.polling_mode) > -1) {
+        this._options.persist_cache_max_age = 'persist_cache_max_age' in options ? options.persist_cache_max_age : 60 * 60 * 1000
+        this._session_revoked = false
+        /** Restored cache snapshot without the cache entries, subclasses restore their own parts from it. */
+        this._snapshot = options.persist_cache ? this._restoreCacheSnapshot() : null
+        /** @type {import('./tdlib').TDLibBackend} */
+        this._lib = options.native || lib
+        if (options.pool || options.replay) {
+            options.polling_mode = 'sync'
+        } else if (options.polling_mode) {
+            if (['sync', 'async', 'fdpipe', 'worker', 'push'].indexOf(options.polling_mode) > -1) {
                 if (options.polling_mode === 'fdpipe') {
-                    if (!lib.create_pipe_fd) options.polling_mode = 'sync'
+                    if (typeof this._lib.create_pipe_fd !== 'function') options.polling_mode = 'sync'
+                }
+                if (options.polling_mode === 'worker') {
+                    // The worker thread loads the native addon itself and can't use another backend.
+                    if (!worker_threads || options.native) options.polling_mode = 'sync'
+                }
+                if (options.polling_mode === 'push') {
+                    if (!this._lib.has_push_receiver || !this._lib.has_push_receiver()) options.polling_mode = 'sync'
                 }
             } else {
                 options.polling_mode = 'sync'
@@ -89,8 +221,10 @@ class TdClientActor extends EventEmitter {
         this._encryption_key = 'database_encryption_key' in options ? options.database_encryption_key : 'password'
 
         this._options.use_cache = 'use_cache' in options ? options.use_cache : true
+        this._options.request_timeout = 'request_timeout' in options ? options.request_timeout : 0
 
         this.on('__updateAuthorizationState', async (update) => {
+            this._authorization_state = update.authorization_state['@type']
             switch (update.authorization_state['@type']) {
                 case 'authorizationStateWaitTdlibParameters':
                     return this.run('setTdlibParameters', {
@@ -106,6 +240,16 @@ class TdClientActor extends EventEmitter {
                      * @event TdClientActor#ready
                      */
                     return this.emit('ready')
+                case 'authorizationStateLoggingOut':
+                    if (this._logging_out) return
+                    this._session_revoked = true
+                    /**
+                     * The session was terminated by the server, e.g. the bot token was revoked
+                     * or the session was closed from another device.
+                     * TDLib wipes its database and closes the client afterwards.
+                     * @event TdClientActor#session_revoked
+                     */
+                    return this.emit('session_revoked')
                 case 'authorizationStateClosed':
                     /**
                      * Client is destroyed.
@@ -124,18 +268,55 @@ class TdClientActor extends EventEmitter {
             return this._emitFileDownloadedEvent(update)
         })
 
-        this._instance_id = lib.td_client_create()
-        process.on('SIGUSR2', () => {
-            console.log('Last Update Time:', new Date(this._lastUpdateTime).toString())
-            console.log('Last Update:', require('util').inspect(this._lastUpdate))
-        })
+        this._recorder = null
+        if (options.record) this._recorder = new TrafficRecorder(typeof options.record === 'string' ? { path: options.record } : options.record)
+        this._replayer = null
+        if (options.replay) {
+            // Nothing is created in TDLib, the recording answers requests and provides the updates.
+            this._instance_id = 0
+            this._onSigusr2 = null
+            this._replayer = new TrafficReplayer(this, typeof options.replay === 'string' ? { path: options.replay } : options.replay)
+            setImmediate(() => this._replayer.start())
+            return
+        }
+        // Set before the client exists, so that its startup is logged as configured and invalid settings throw without leaking it.
+        if ('tdlib_log_file' in options) this.setTdlibLogFile(options.tdlib_log_file, options.tdlib_log_max_file_size)
+        if ('tdlib_log_verbosity' in options) this.setTdlibLogVerbosity(options.tdlib_log_verbosity)
+        this._instance_id = this._lib.td_client_create()
+        // A pooled client is polled by the pool, which also handles SIGUSR2 for all of its clients.
+        this._onSigusr2 = null
+        if (options.pool) return
+
+        this._onSigusr2 = () => this._reportLastUpdate()
+        process.on('SIGUSR2', this._onSigusr2)
 
         if (options.polling_mode === 'fdpipe') {
-            const [readfd, writefd] = lib.create_pipe_fd()
+            const [readfd, writefd] = this._lib.create_pipe_fd()
             this._fd = [readfd, writefd]
-            this._readstream = fs.createReadStream(null, { fd: readfd, encoding: 'utf8' })
-            this._readstream.on('data', this._processUpdate.bind(this))
-            lib.register_receiver_fd(this._instance_id, writefd)
+            this._readstream = fs.createReadStream(null, { fd: readfd })
+            this._readstream.pipe(new LineDecoder()).on('data', (line) => {
+                try {
+                    this._processUpdate(line)
+                } catch (e) {
+                    this._logger.error('Failed to process update', { error: e })
+                }
+            })
+            this._lib.register_receiver_fd(this._instance_id, writefd)
+        } else if (options.polling_mode === 'worker') {
+            // Started after the constructor returns, so that listeners added right away are known to the worker.
+            setImmediate(this._startWorker.bind(this), 'poll_timeout' in options ? options.poll_timeout : 1)
+        } else if (options.polling_mode === 'push') {
+            this._pushing = true
+            this._lib.start_push_receiver(this._instance_id, 'poll_timeout' in options ? options.poll_timeout : 1, options.push_batch_size || 100, (updates) => {
+                if (this._closed) return
+                for (const update of updates) {
+                    try {
+                        this._processUpdate(update)
+                    } catch (e) {
+                        this._logger.error('Failed to process update', { error: e })
+                    }
+                }
+            })
         } else {
             setImmediate(this._pollUpdates.bind(this), options.poll_timeout, false)
         }
@@ -145,71 +326,544 @@ class TdClientActor extends EventEmitter {
      * Run a TDLib method.
      * @param {string} method Method name. See https://core.telegram.org/tdlib/docs/annotated.html
      * @param {object} params Parameters.
+     * @param {RunOptions} [options]
      */
-    run(method, params = {}) {
+    run(method, params = {}, options = {}) {
         let stack_trace = new Error().stack.split('\n').slice(1).join('\n')
-        const is_cacheable = this._isCacheableMethod(method)
-        if (is_cacheable) {
-            const cache = this._readCache(method, params)
-            if (cache !== undefined) {
-                return Promise.resolve(Object.assign({}, cache)) // Copy the object to prevent modified object pollutes cache.
+        const ctx = {
+            type: 'request',
+            method,
+            params,
+            options,
+            client: this
+        }
+        // Not enumerable, middlewares have no use for it.
+        Object.defineProperty(ctx, 'stack_trace', { value: stack_trace })
+        // Marked before the request is sent, TDLib may announce authorizationStateLoggingOut before it answers.
+        if (method === 'logOut') this._logging_out = true
+        const request = new Promise((rs) => rs(this._runRequestChain(ctx)))
+        // A rejected logOut leaves the session logged in, so a later logout is the server's.
+        if (method === 'logOut') request.catch(() => { this._logging_out = false })
+        return request
+    }
+
+    /**
+     * Add a middleware for requests and updates. Middlewares run in the order they are added,
+     * the built-in cache is the innermost one, next to TDLib.
+     * @param {import('./middleware').Middleware} middleware
+     * @returns {this}
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') throw new TypeError('middleware must be a function')
+        this._middlewares.push(middleware)
+        this._composeMiddlewares()
+        // Middlewares see every update, so the worker can't drop the types nobody listens to anymore.
+        this._syncWorkerSubscription('*')
+        return this
+    }
+
+    /**
+     * Build the request and update chains. Requests pass the middlewares on their way to TDLib,
+     * updates come from TDLib through them in reverse order.
+     * @private
+     */
+    _composeMiddlewares() {
+        const cache = this._cacheMiddleware.bind(this)
+        const builtin_update_middlewares = this._messages ? [cache, this._messageStoreMiddleware.bind(this)] : [cache]
+        this._runRequestChain = compose(this._middlewares.concat([cache]), (ctx) => this._runWithRetry(ctx.method, ctx.params, ctx.options, ctx.stack_trace))
+        this._runUpdateChain = compose(builtin_update_middlewares.concat(this._middlewares.slice().reverse()), (ctx) => this._emitUpdate(ctx.update))
+    }
+
+    /**
+     * The built-in cache: answers cacheable requests from it and keeps it up to date with updates.
+     * @protected
+     * @param {any} ctx
+     * @param {() => any} next
+     */
+    _cacheMiddleware(ctx, next) {
+        if (ctx.type === 'request') {
+            if (!this._isCacheableMethod(ctx.method)) return next()
+            const fetch = () => {
+                const result = Promise.resolve(next())
+                // TDLib announces an object only once, so one which was evicted or expired is cached again from the answer.
+                result.then((object) => this._cache.set(this._cacheKeyOf(ctx.method, ctx.params), Object.assign({}, object))
+                    .catch((e) => this._logger.warn('Failed to write cache', { method: ctx.method, error: e })), () => {})
+                return result
+            }
+            return this._readCache(ctx.method, ctx.params).then((cache) => {
+                if (cache !== undefined) {
+                    return Object.assign({}, cache) // Copy the object to prevent modified object pollutes cache.
+                }
+                return fetch()
+            }, (e) => {
+                this._logger.warn('Failed to read cache', { method: ctx.method, error: e })
+                return fetch()
+            })
+        }
+        if (this._isCacheableUpdate(ctx.update['@type'])) {
+            // Updates are not held back by the backend. Writes to the same key are ordered by the backend.
+            this._writeCache(ctx.update['@type'], ctx.update)
+                .catch((e) => this._logger.warn('Failed to write cache', { update_type: ctx.update['@type'], error: e }))
+        }
+        return next()
+    }
+
+    /**
+     * Feeds the message store with message updates.
+     * @protected
+     * @param {any} ctx
+     * @param {() => any} next
+     */
+    _messageStoreMiddleware(ctx, next) {
+        const type = ctx.update['@type']
+        if (MessageStore.updateTypes.indexOf(type) > -1) {
+            const deleted = this._messages.apply(ctx.update)
+            if (deleted.length > 0) {
+                /**
+                 * Stored messages were deleted permanently, called with the chat id and the last stored version of the messages.
+                 * @event TdClientActor#messages_deleted
+                 */
+                this.emit('messages_deleted', ctx.update.chat_id, deleted)
             }
         }
+        return next()
+    }
+
+    /**
+     * Send a request, retrying it while TDLib answers with a flood wait allowed by the retry policy.
+     * @private
+     * @param {string} method
+     * @param {object} params
+     * @param {RunOptions} options
+     * @param {string} stack_trace
+     */
+    async _runWithRetry(method, params, options, stack_trace) {
+        const policy = this._getFloodWaitPolicy(method)
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._send(method, params, options, stack_trace)
+            } catch (e) {
+                if (!(e instanceof FloodWaitError) || attempt > policy.max_retries || e.retryAfter > policy.max_wait) throw e
+                const retry_after = e.retryAfter
+                /**
+                 * A request hit the flood limit and will be retried.
+                 * @event TdClientActor#flood_wait
+                 */
+                this.emit('flood_wait', {
+                    method,
+                    params,
+                    retry_after,
+                    attempt
+                })
+                await this._sleep(retry_after * 1000, method, params, options.signal)
+            }
+        }
+    }
+
+    /**
+     * Resolve the flood wait retry policy of a method.
+     * @private
+     * @param {string} method
+     * @returns {{max_retries: number, max_wait: number}}
+     */
+    _getFloodWaitPolicy(method) {
+        const policy = this._options.flood_wait_retry
+        if (!policy) return { max_retries: 0, max_wait: 0 }
+        const override = policy.methods && method in policy.methods ? policy.methods[method] : {}
+        if (override === false) return { max_retries: 0, max_wait: 0 }
+        return {
+            max_retries: 'max_retries' in override ? override.max_retries : 'max_retries' in policy ? policy.max_retries : 3,
+            max_wait: 'max_wait' in override ? override.max_wait : 'max_wait' in policy ? policy.max_wait : 60
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} ms
+     * @param {string} method
+     * @param {object} params
+     * @param {AbortSignal} [signal]
+     */
+    _sleep(ms, method, params, signal) {
+        return new Promise((rs, rj) => {
+            if (signal && signal.aborted) return rj(new AbortError(method, params))
+            const onAbort = () => {
+                clearTimeout(timer)
+                rj(new AbortError(method, params))
+            }
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort)
+                rs()
+            }, ms)
+            if (signal) signal.addEventListener('abort', onAbort)
+        })
+    }
+
+    /**
+     * Send a single request to TDLib and wait for its response.
+     * @private
+     * @param {string} method
+     * @param {object} params
+     * @param {RunOptions} options
+     * @param {string} stack_trace
+     */
+    _send(method, params, options, stack_trace) {
         return new Promise((rs, rj) => {
-            if (this._closed) throw new Error('already destroyed')
+            if (this._closed) throw new ClientClosedError()
+            const { signal } = options
+            const timeout = 'timeout' in options ? options.timeout : this._options.request_timeout
+            if (signal && signal.aborted) return rj(new AbortError(method, params))
             let req = params
             req['@type'] = method
             req['@extra'] = util.generateRpcReqId()
-            this.once(`_update:${req['@extra']}`, (res) => {
+            const extra = req['@extra']
+            const event = `_update:${extra}`
+            let timer = null
+            // TDLib has no generic way to cancel a request, so only the listener is dropped.
+            const cleanup = () => {
+                this.removeListener(event, onResponse)
+                this._pending.delete(extra)
+                if (timer) clearTimeout(timer)
+                if (signal) signal.removeEventListener('abort', onAbort)
+            }
+            const fail = (error) => {
+                cleanup()
+                rj(error)
+            }
+            const onAbort = () => fail(new AbortError(method, params))
+            const onResponse = (res) => {
+                cleanup()
                 if (res['@type'] == 'error') {
-                    Object.defineProperty(res, 'stack', {
-                        value: `Error ${res.code}: ${res.message}\nCaused by: ${method}\nParams: ${inspect(params)}\n${stack_trace}`,
-                        enumerable: false,
-                        configurable: false,
-                        writable: false
-                    })
-                    res.method = method
-                    res.params = params
-                    return rj(res)
+                    return rj(TdError.fromResponse(res, method, params, stack_trace))
                 }
                 rs(res)
-            })
-            lib.td_client_send(this._instance_id, JSON.stringify(req))
+            }
+            this.once(event, onResponse)
+            this._pending.set(extra, fail)
+            if (timeout > 0) {
+                timer = setTimeout(() => fail(new TimeoutError(method, params, timeout)), timeout)
+            }
+            if (signal) signal.addEventListener('abort', onAbort)
+            if (this._recorder) this._recorder.record('send', req)
+            if (this._replayer) this._replayer.send(req)
+            else this._lib.td_client_send(this._instance_id, JSON.stringify(req))
         })
     }
 
-    execute(method, params) {
-        if (this._closed) throw new Error('already destroyed')
+    /**
+     * Run a TDLib method synchronously. Only methods documented as "Can be called synchronously" are supported.
+     * @param {string} method Method name. See https://core.telegram.org/tdlib/docs/annotated.html
+     * @param {object} params Parameters.
+     */
+    execute(method, params = {}) {
+        if (this._closed) throw new ClientClosedError()
+        if (!this._replayer && !this._recorder) return execute(this._lib, this._instance_id, method, params)
         let req = params
         req['@type'] = method
-        this.once(`_update:${req['@extra']}`, (res) => {
-
-        })
-        let result = lib.td_client_execute(this._instance_id, JSON.stringify(req))
+        let result = this._replayer ? this._replayer.execute(req) : JSON.parse(this._lib.td_client_execute(this._instance_id, JSON.stringify(req)))
         let stack_trace = new Error().stack.split('\n').slice(1).join('\n')
-        result = JSON.parse(result)
+        if (this._recorder) this._recorder.recordExecute(req, result)
         if (result['@type'] == 'error') {
-            Object.defineProperty(result, 'stack', {
-                value: `Error ${result.code}: ${result.message}\nCaused by: ${method}\nParams: ${inspect(params)}\n${stack_trace}`,
-                enumerable: false,
-                configurable: false,
-                writable: false
-            })
-            result.method = method
-            result.params = params
-            throw result
+            throw TdError.fromResponse(result, method, params, stack_trace)
         }
         return result
     }
 
+    /**
+     * Set the verbosity level of the internal TDLib log.
+     * TDLib logging is shared by all clients in the process, the last setting wins.
+     * @param {number} level 0 for fatal errors, 1 for errors, 2 for warnings, 3 for informational, 4 for debug, 5 for verbose debug. Up to 1023 for even more logging.
+     */
+    setTdlibLogVerbosity(level) {
+        return execute(this._lib, 0, 'setLogVerbosityLevel', {
+            new_verbosity_level: level
+        })
+    }
+
+    /**
+     * Set the verbosity level of a tag of the internal TDLib log, like "td_requests" or "actor".
+     * @param {string} tag Logging tag. Use getLogTags to list the available tags.
+     * @param {number} level New verbosity level; 1-1024.
+     */
+    setTdlibLogTagVerbosity(tag, level) {
+        return execute(this._lib, 0, 'setLogTagVerbosityLevel', {
+            tag,
+            new_verbosity_level: level
+        })
+    }
+
+    /**
+     * Set where the internal TDLib log is written.
+     * @param {string|false} file_path Path to the log file. An empty string restores the default stderr output, false discards the log.
+     * @param {number} [max_file_size] Size in bytes after which the log file is rotated. Defaults to 10 MB.
+     */
+    setTdlibLogFile(file_path, max_file_size = 10 * 1024 * 1024) {
+        let log_stream
+        if (file_path === false) {
+            log_stream = { '@type': 'logStreamEmpty' }
+        } else if (file_path) {
+            log_stream = {
+                '@type': 'logStreamFile',
+                path: path.resolve(file_path),
+                max_file_size
+            }
+        } else {
+            log_stream = { '@type': 'logStreamDefault' }
+        }
+        return execute(this._lib, 0, 'setLogStream', {
+            log_stream
+        })
+    }
+
+    /**
+     * Subscribe to updates of a type.
+     * @param {string} type Update type like `updateNewMessage`. `*` is a wildcard, e.g. `*` or `updateChat*`.
+     * @param {(update: object) => any} handler
+     * @param {import('./update_dispatcher').OnUpdateOptions} [options]
+     * @returns {this}
+     */
+    onUpdate(type, handler, options = {}) {
+        this._dispatcher.add(type, handler, options)
+        this._syncWorkerSubscription(UpdateDispatcher.isWildcard(type) ? '*' : type)
+        return this
+    }
+
+    /**
+     * Remove a handler added with onUpdate().
+     * @param {string} type The type the handler was added with.
+     * @param {(update: object) => any} handler
+     * @returns {this}
+     */
+    offUpdate(type, handler) {
+        if (this._dispatcher.remove(type, handler)) {
+            this._syncWorkerSubscription(UpdateDispatcher.isWildcard(type) ? '*' : type)
+        }
+        return this
+    }
+
+    /**
+     * Iterate over updates with `for await`.
+     * The iteration ends when the signal is aborted or the client is closed.
+     * @param {import('./update_stream').UpdateStreamOptions} [options]
+     * @returns {UpdateStream}
+     */
+    updates(options = {}) {
+        if (this._closed) throw new ClientClosedError()
+        const types = options.types || ['*']
+        const { signal } = options
+        const push = (update) => stream.push(update)
+        const end = () => stream.end()
+        const stream = new UpdateStream(options, () => {
+            for (const type of types) this.offUpdate(type, push)
+            this.removeListener('closed', end)
+            if (signal) signal.removeEventListener('abort', end)
+        })
+        for (const type of types) this.onUpdate(type, push)
+        this.once('closed', end)
+        if (signal) {
+            if (signal.aborted) stream.end()
+            else signal.addEventListener('abort', end)
+        }
+        return stream
+    }
+
+    /**
+     * Iterate over the history of a chat, from newer to older messages.
+     * @param {number} chat_id
+     * @param {import('./paginator').PaginateOptions & {from?: number, until?: number|Date, only_local?: boolean}} [options]
+     * `from` is the message id to start from, the newest message if not set.
+     * `until` is the message id, the date or a condition at which the iteration ends.
+     * @returns {Paginator}
+     */
+    iterateHistory(chat_id, options = {}) {
+        return new Paginator(this, {
+            method: 'getChatHistory',
+            params: { chat_id, from_message_id: options.from || 0, offset: 0, only_local: !!options.only_local },
+            page_size: 100,
+            items: (result) => result.messages,
+            key: (message) => message.id,
+            next: (params, result, messages) => Object.assign({}, params, { from_message_id: messages[messages.length - 1].id })
+        }, Object.assign({}, options, { until: untilMessage(options.until) }))
+    }
+
+    /**
+     * Iterate over the messages of a chat matching a search, from newer to older messages.
+     * @param {number} chat_id
+     * @param {import('./paginator').PaginateOptions & {query?: string, sender_user_id?: number, search_filter?: object, from?: number, until?: number|Date}} [options]
+     * `search_filter` is a SearchMessagesFilter like `{'@type': 'searchMessagesFilterPhoto'}`.
+     * @returns {Paginator}
+     */
+    iterateChatMessages(chat_id, options = {}) {
+        return new Paginator(this, {
+            method: 'searchChatMessages',
+            params: {
+                chat_id,
+                query: options.query || '',
+                sender_user_id: options.sender_user_id || 0,
+                from_message_id: options.from || 0,
+                offset: 0,
+                filter: options.search_filter || null
+            },
+            page_size: 100,
+            items: (result) => result.messages,
+            key: (message) => message.id,
+            next: (params, result, messages) => Object.assign({}, params, { from_message_id: messages[messages.length - 1].id })
+        }, Object.assign({}, options, { until: untilMessage(options.until) }))
+    }
+
+    /**
+     * Iterate over the messages of all chats matching a search, from newer to older messages.
+     * @param {string} query
+     * @param {import('./paginator').PaginateOptions & {until?: Date}} [options]
+     * @returns {Paginator}
+     */
+    iterateMessages(query, options = {}) {
+        return new Paginator(this, {
+            method: 'searchMessages',
+            params: { query, offset_date: 0, offset_chat_id: 0, offset_message_id: 0 },
+            page_size: 100,
+            items: (result) => result.messages,
+            key: (message) => `${message.chat_id}:${message.id}`,
+            next: (params, result, messages) => {
+                const last = messages[messages.length - 1]
+                return Object.assign({}, params, { offset_date: last.date, offset_chat_id: last.chat_id, offset_message_id: last.id })
+            }
+        }, Object.assign({}, options, { until: untilMessage(options.until) }))
+    }
+
+    /**
+     * Iterate over the members of a supergroup or channel.
+     * @param {number} supergroup_id
+     * @param {object} [filter] A SupergroupMembersFilter like `{'@type': 'supergroupMembersFilterAdministrators'}`. Recent members if not set.
+     * @param {import('./paginator').PaginateOptions} [options]
+     * @returns {Paginator}
+     */
+    iterateSupergroupMembers(supergroup_id, filter = null, options = {}) {
+        return new Paginator(this, {
+            method: 'getSupergroupMembers',
+            params: { supergroup_id, filter, offset: 0 },
+            page_size: 200,
+            items: (result) => result.members,
+            key: (member) => member.user_id,
+            next: nextOffset
+        }, options)
+    }
+
+    /**
+     * Iterate over the profile photos of a user, from the newest one.
+     * @param {number} user_id
+     * @param {import('./paginator').PaginateOptions} [options]
+     * @returns {Paginator}
+     */
+    iterateUserProfilePhotos(user_id, options = {}) {
+        return new Paginator(this, {
+            method: 'getUserProfilePhotos',
+            params: { user_id, offset: 0 },
+            page_size: 100,
+            items: (result) => result.photos,
+            key: (photo) => photo.id,
+            next: nextOffset
+        }, options)
+    }
+
+    /**
+     * Iterate over the event log of a supergroup or channel, from newer to older events. Requires administrator rights.
+     * @param {number} chat_id
+     * @param {import('./paginator').PaginateOptions & {query?: string, filters?: object, user_ids?: number[]}} [options]
+     * @returns {Paginator}
+     */
+    iterateChatEventLog(chat_id, options = {}) {
+        return new Paginator(this, {
+            method: 'getChatEventLog',
+            params: { chat_id, query: options.query || '', from_event_id: 0, filters: options.filters || null, user_ids: options.user_ids || [] },
+            page_size: 100,
+            items: (result) => result.events,
+            key: (event) => event.id,
+            next: (params, result, events) => Object.assign({}, params, { from_event_id: events[events.length - 1].id })
+        }, options)
+    }
+
+    /**
+     * Close TDLib Client gracefully.
+     * Resolves once TDLib has flushed its database and the client is destroyed.
+     * Requests still waiting for a response are rejected with ClientClosedError.
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (this._closed) return Promise.reject(new ClientClosedError())
+        if (!this._closing) this._closing = this._shutdown('close')
+        return this._closing
+    }
+
+    /**
+     * Log out of the session and delete its database directory.
+     * The session is revoked on the server, so it can't be used again; the client is closed afterwards.
+     * @returns {Promise<void>}
+     */
+    logOut() {
+        if (this._closed || this._closing) return Promise.reject(new ClientClosedError())
+        this._closing = this._shutdown('logOut').then(() => util.removeDirectory(this._tdlib_param.database_directory))
+        return this._closing
+    }
+
+    /**
+     * Ask TDLib to close with the given method, wait for it and tear down the client.
+     * @private
+     * @param {"close"|"logOut"} method
+     */
+    async _shutdown(method) {
+        const closed = new Promise((rs) => this.once('closed', rs))
+        if (this._authorization_state !== 'authorizationStateClosed') {
+            try {
+                await this.run(method, {})
+            } catch (e) {
+                // TDLib may already be closing, in which case the state update still arrives.
+                this._logger.warn('Close request failed', { method, code: e.code, error: e })
+            }
+            await closed
+        }
+        this._closed = true
+        if (this._receiving) await new Promise((rs) => this.once('_receiveIdle', rs))
+        if (this._onSigusr2) process.removeListener('SIGUSR2', this._onSigusr2)
+        if (this._options.polling_mode === 'fdpipe') {
+            this._lib.unregister_receiver_fd(this._instance_id)
+            fs.closeSync(this._fd[1])
+            this._readstream.destroy()
+        }
+        if (this._worker) await this._stopWorker()
+        if (this._pushing) await this._stopPushReceiver()
+        for (const fail of this._pending.values()) fail(new ClientClosedError())
+        if (this._replayer) this._replayer.stop()
+        else this._lib.td_client_destroy(this._instance_id)
+        await this._closeRecorder()
+        if (method === 'close' && this._options.persist_cache && !this._session_revoked) {
+            try {
+                await this._writeCacheSnapshot()
+            } catch (e) {
+                this._logger.warn('Failed to write cache snapshot', { error: e })
+            }
+        }
+    }
+
     /**
      * Destory TDLib Client.
      * @fires TdClientActor#destroy
      */
     destroy() {
-        if (this._closed) throw new Error('Already closed.');
+        if (this._closed) throw new ClientClosedError();
         this._closed = true;
-        setImmediate(lib.td_client_destroy, this._instance_id)
+        if (this._onSigusr2) process.removeListener('SIGUSR2', this._onSigusr2)
+        this._closeRecorder()
+        if (this._replayer) {
+            this._replayer.stop()
+        } else if (this._worker) {
+            // The worker may be inside td_client_receive, so the client is destroyed after it exits.
+            this._stopWorker().then(() => this._lib.td_client_destroy(this._instance_id))
+        } else if (this._pushing) {
+            this._stopPushReceiver().then(() => this._lib.td_client_destroy(this._instance_id))
+        } else {
+            setImmediate(() => this._lib.td_client_destroy(this._instance_id))
+        }
     }
 
     /**
@@ -220,13 +874,16 @@ class TdClientActor extends EventEmitter {
      */
     _pollUpdates(timeout = 5, is_recursive = false) {
         if (is_recursive && this._closed) {
-            console.log('Client closed. Stopping recursive update.')
+            this._logger.debug('Client closed. Stopping recursive update.')
         }
         if (this._closed) {return;}
         if (this._options.polling_mode === 'async') {
-            lib.td_client_receive_async(this._instance_id, timeout, (err, res) => {
+            this._receiving = true
+            this._lib.td_client_receive_async(this._instance_id, timeout, (err, res) => {
+                this._receiving = false
+                if (this._closed) return this.emit('_receiveIdle')
                 if (err) {
-                    console.error(err)
+                    this._logger.error('Failed to receive updates', { error: err })
                     return setTimeout(this._pollUpdates.bind(this), 50, timeout, true)
                 }
                 if (res === '') {
@@ -236,52 +893,206 @@ class TdClientActor extends EventEmitter {
                 try {
                     this._processUpdate(res)
                 } catch (e) {
-                    console.error(e)
+                    this._logger.error('Failed to process update', { error: e })
                 }
                 setImmediate(this._pollUpdates.bind(this), timeout, true)
             })
         } else if (this._options.polling_mode === 'sync') {
             timeout = 0 // force timeout to be 0 to avoid main thread block
-            let updates
-            try {
-                updates = lib.td_client_receive(this._instance_id, timeout)
-            } catch (e) {
-                console.error(e)
+            if (!this._receiveUpdates()) {
                 return setTimeout(this._pollUpdates.bind(this), 50, timeout, true)
             }
-            if (Array.isArray(updates) && updates.length > 0) {
-                for (let u of updates) {
-                    // console.log(update)
+            setTimeout(this._pollUpdates.bind(this), 20, timeout, true)
+        }
+    }
+
+    /**
+     * Receive and process all pending updates without blocking.
+     * @protected
+     * @returns {boolean} false if receiving failed.
+     */
+    _receiveUpdates() {
+        if (this._replayer) return true
+        let updates
+        try {
+            updates = this._lib.td_client_receive(this._instance_id, 0)
+        } catch (e) {
+            this._logger.error('Failed to receive updates', { error: e })
+            return false
+        }
+        if (Array.isArray(updates) && updates.length > 0) {
+            for (let u of updates) {
+                // console.log(update)
+                try {
+                    this._processUpdate(u)
+                } catch (e) {
+                    this._logger.error('Failed to process update', { error: e })
+                }
+            }
+        }
+        return true
+    }
+
+    /**
+     * Log the last received update, for diagnosing stuck clients.
+     * @protected
+     */
+    _reportLastUpdate() {
+        this._logger.info('Last update', {
+            time: new Date(this._lastUpdateTime).toString(),
+            update: this._lastUpdate
+        })
+    }
+
+    /**
+     * Start the worker thread receiving updates in worker polling mode.
+     * The worker is told which update types have listeners, as other updates are dropped there.
+     * @private
+     * @param {number} timeout Seconds a receive call may wait.
+     */
+    _startWorker(timeout) {
+        if (this._closed) return
+        const types = new Set(cacheable_updates.filter((type) => this._isCacheableUpdate(type)))
+        if (this._messages) MessageStore.updateTypes.forEach((type) => types.add(type))
+        for (const event of this.eventNames()) {
+            if (typeof event === 'string' && event.startsWith('__')) types.add(event.slice(2))
+        }
+        for (const type of this._dispatcher.types()) types.add(type)
+        if (this._dispatcher.hasWildcards() || this._middlewares.length > 0) types.add('*')
+        this._worker_types = types
+        this._worker = new worker_threads.Worker(path.join(__dirname, 'receive_worker.js'), {
+            workerData: {
+                instance_id: this._instance_id,
+                timeout,
+                types: Array.from(types)
+            }
+        })
+        this._worker.on('message', (message) => {
+            if (this._closed) return
+            if (message.type === 'updates') {
+                for (const update of message.updates) {
                     try {
-                        this._processUpdate(u)
+                        this._handleUpdate(update)
                     } catch (e) {
-                        console.error(e)
+                        this._logger.error('Failed to process update', { error: e })
                     }
                 }
-                this._lastUpdateTime = Date.now()
-                this._lastUpdate = updates[updates.length - 1]
+            } else if (message.type === 'error') {
+                this._logger.error('Failed to receive updates', { error: message.error })
             }
-            setTimeout(this._pollUpdates.bind(this), 20, timeout, true)
+        })
+        this._worker.on('error', (e) => {
+            this._logger.error('Receive worker failed', { error: e })
+        })
+        this._worker.once('exit', () => this._worker_exited = true)
+        this.on('newListener', (event) => {
+            if (typeof event !== 'string' || !event.startsWith('__') || this._worker_types.has(event.slice(2))) return
+            this._worker_types.add(event.slice(2))
+            this._worker.postMessage({ type: 'subscribe', update_type: event.slice(2) })
+        })
+        this.on('removeListener', (event) => {
+            if (typeof event === 'string' && event.startsWith('__')) this._syncWorkerSubscription(event.slice(2))
+        })
+    }
+
+    /**
+     * Tell the worker whether updates of the type are wanted, after listeners or handlers changed.
+     * @private
+     * @param {string} type Update type, or `*` for every update.
+     */
+    _syncWorkerSubscription(type) {
+        if (!this._worker) return
+        const subscribed = type === '*'
+            ? this._dispatcher.hasWildcards() || this._middlewares.length > 0
+            : this.listenerCount(`__${type}`) > 0 || this._dispatcher.has(type) || !!this._isCacheableUpdate(type)
+                || !!this._messages && MessageStore.updateTypes.indexOf(type) > -1
+        if (subscribed === this._worker_types.has(type)) return
+        if (subscribed) this._worker_types.add(type)
+        else this._worker_types.delete(type)
+        this._worker.postMessage({ type: subscribed ? 'subscribe' : 'unsubscribe', update_type: type })
+    }
+
+    /**
+     * Stop the receive worker once its current receive call returns.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _stopWorker() {
+        if (this._worker_exited) return Promise.resolve()
+        return new Promise((rs) => {
+            this._worker.once('exit', () => rs())
+            this._worker.postMessage({ type: 'stop' })
+        })
+    }
+
+    /**
+     * Stop the native push receiver once its current receive call returns.
+     * @private
+     * @returns {Promise<void>}
+     */
+    _stopPushReceiver() {
+        this._pushing = false
+        return new Promise((rs) => this._lib.stop_push_receiver(this._instance_id, rs))
+    }
+
+    /**
+     * Stop recording, once the last entries are written.
+     * @private
+     */
+    async _closeRecorder() {
+        if (!this._recorder) return
+        const recorder = this._recorder
+        this._recorder = null
+        try {
+            await recorder.close()
+        } catch (e) {
+            this._logger.warn('Failed to write recording', { error: e })
         }
     }
 
     _processUpdate(update_string) {
-        const update = JSON.parse(update_string)
-        const extra = update['@extra'] || ''
+        return this._handleUpdate(JSON.parse(update_string))
+    }
 
-        if (this._isCacheableUpdate(update['@type'])) {
-            this._writeCache(update['@type'], update)
+    /**
+     * Write the cache and emit events for a parsed update.
+     * @protected
+     * @param {object} update
+     */
+    _handleUpdate(update) {
+        if (this._recorder) this._recorder.record('receive', update)
+        // Every polling mode passes here, so the SIGUSR2 report covers all of them.
+        this._lastUpdateTime = Date.now()
+        this._lastUpdate = update
+        // Responses bypass the update chain, request middlewares see them as the result of next().
+        if (update['@extra']) return this._emitUpdate(update)
+        const result = this._runUpdateChain({
+            type: 'update',
+            update,
+            client: this
+        })
+        // Errors of async middlewares are logged like those thrown synchronously by the callers.
+        if (result && typeof result.then === 'function') {
+            result.then(null, (e) => this._logger.error('Failed to process update', { error: e }))
         }
+    }
+
+    /**
+     * Emit an update, or resolve the request a response belongs to.
+     * @private
+     * @param {object} update
+     */
+    _emitUpdate(update) {
+        const extra = update['@extra'] || ''
 
         if (update['@type'] && update['@type'] !== 'error') {
             this.emit('__' + update['@type'], update)
+            if (!extra) this._dispatcher.dispatch(update)
         }
         delete update['@extra']
         if (extra) {
             this.emit(`_update:${extra}`, update)
         }
-        this._lastUpdateTime = Date.now()
-        this._lastUpdate = update
         return
     }
 
@@ -394,144 +1205,233 @@ class TdClientActor extends EventEmitter {
         }
     }
 
+    /**
+     * A message kept by the message_store option.
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @returns {object|undefined} Undefined if the message isn't stored or the message store is disabled.
+     */
+    getStoredMessage(chat_id, message_id) {
+        const message = this._messages && this._messages.get(chat_id, message_id)
+        return message ? Object.assign({}, message) : undefined
+    }
+
+    /**
+     * Version of a stored message before its last edit.
+     * @param {number} chat_id
+     * @param {number} message_id
+     * @returns {object|undefined} Undefined if the message isn't stored or wasn't edited since.
+     */
+    getMessageBeforeEdit(chat_id, message_id) {
+        const message = this._messages && this._messages.getPrevious(chat_id, message_id)
+        return message ? Object.assign({}, message) : undefined
+    }
+
     // Cache System Start
 
+    /**
+     * Hit, miss and eviction counters and the number of entries of the cache.
+     * Null if the cache backend doesn't count.
+     * @returns {import('./cache').CacheStats|null}
+     */
+    getCacheStats() {
+        return typeof this._cache.stats === 'function' ? this._cache.stats() : null
+    }
+
+    /**
+     * Restore the cache from the snapshot written by the last close().
+     * The snapshot is deleted once read, so that a crash never restores an outdated one.
+     * @private
+     * @returns {object|null} The snapshot without the cache entries, null if there is none or it is stale.
+     */
+    _restoreCacheSnapshot() {
+        const file = path.join(this._tdlib_param.database_directory, cache_snapshot_file)
+        let snapshot
+        try {
+            const content = fs.readFileSync(file, 'utf8')
+            fs.unlinkSync(file)
+            snapshot = JSON.parse(content)
+        } catch (e) {
+            if (e.code !== 'ENOENT') this._logger.warn('Failed to read cache snapshot', { error: e })
+            return null
+        }
+        if (snapshot.version !== cache_snapshot_version || snapshot.identifier !== this._options.identifier) {
+            this._logger.info('Ignoring incompatible cache snapshot', { version: snapshot.version })
+            return null
+        }
+        const age = Date.now() - snapshot.saved_at
+        if (!(age >= 0 && age <= this._options.persist_cache_max_age)) {
+            this._logger.info('Ignoring stale cache snapshot', { age })
+            return null
+        }
+        if (snapshot.objects && typeof this._cache.load === 'function') {
+            this._cache.load(snapshot.objects).catch((e) => this._logger.warn('Failed to restore cache snapshot', { error: e }))
+        }
+        delete snapshot.objects
+        return snapshot
+    }
+
+    /**
+     * @private
+     */
+    async _writeCacheSnapshot() {
+        const snapshot = Object.assign({
+            version: cache_snapshot_version,
+            identifier: this._options.identifier,
+            saved_at: Date.now()
+        }, await this._collectCacheSnapshot())
+        const file = path.join(this._tdlib_param.database_directory, cache_snapshot_file)
+        await fsp.mkdir(this._tdlib_param.database_directory, { recursive: true })
+        await fsp.writeFile(`${file}.tmp`, JSON.stringify(snapshot))
+        await fsp.rename(`${file}.tmp`, file)
+    }
+
+    /**
+     * Contents of the cache snapshot. Subclasses add their own caches.
+     * Backends without dump(), e.g. FileCache, persist on their own and are left out.
+     * @protected
+     * @returns {Promise<object>}
+     */
+    async _collectCacheSnapshot() {
+        return { objects: typeof this._cache.dump === 'function' ? await this._cache.dump() : [] }
+    }
+
     _isCacheableMethod(key) {
-        return this._options.use_cache && ['getChat', 'getUser', 'getBasicGroup', 'getSupergroup', 'getSecretChat'].indexOf(key) > -1
+        return this._options.use_cache && (['getChat', 'getUser', 'getBasicGroup', 'getSupergroup', 'getSecretChat'].indexOf(key) > -1 || full_info_methods.indexOf(key) > -1)
     }
 
     _isCacheableUpdate(key) {
-        return this._options.use_cache && [
-            'updateNewChat',
-            'updateUser',
-            'updateBasicGroup',
-            'updateSupergroup',
-            'updateSecretChat',
-            'updateChatTitle',
-            'updateChatPhoto',
-            'updateChatLastMessage',
-            'updateChatOrder',
-            'updateChatReadInbox',
-            'updateChatReadOutbox',
-            'updateChatReplyMarkup',
-            'updateChatDraftMessage',
-            'updateChatNotificationSettings',
-            'updateChatUnreadMentionCount',
-            'updateChatIsPinned',
-            'updateChatDefaultDisableNotification',
-            'updateChatIsSponsored',
-            'updateChatIsMarkedAsUnread',
-            'updateUserStatus'
-        ].indexOf(key) > -1
+        return this._options.use_cache && cacheable_updates.indexOf(key) > -1
     }
 
+    /**
+     * @param {string} name
+     * @param {object} options
+     * @returns {Promise<object|undefined>}
+     */
     _readCache(name, options) {
+        const key = this._cacheKeyOf(name, options)
+        return key ? this._cache.get(key) : Promise.resolve(undefined)
+    }
+
+    /**
+     * @param {string} name
+     * @param {object} options
+     */
+    _cacheKeyOf(name, options) {
         if (name === 'getChat') {
-            const key = `chat:${options.chat_id}`
-            return this._cache.get(key)
+            return `chat:${options.chat_id}`
         } else if (name === 'getUser') {
-            const key = `user:${options.user_id}`
-            return this._cache.get(key)
+            return `user:${options.user_id}`
         } else if (name === 'getBasicGroup') {
-            const key = `basicgroup:${options.basic_group_id}`
-            return this._cache.get(key)
+            return `basicgroup:${options.basic_group_id}`
         } else if (name === 'getSupergroup') {
-            const key = `supergroup:${options.supergroup_id}`
-            return this._cache.get(key)
+            return `supergroup:${options.supergroup_id}`
         } else if (name === 'getSecretChat') {
-            const key = `secretchat:${options.secret_chat_id}`
-            return this._cache.get(key)
+            return `secretchat:${options.secret_chat_id}`
+        } else if (name === 'getUserFullInfo') {
+            return `userfullinfo:${options.user_id}`
+        } else if (name === 'getBasicGroupFullInfo') {
+            return `basicgroupfullinfo:${options.basic_group_id}`
+        } else if (name === 'getSupergroupFullInfo') {
+            return `supergroupfullinfo:${options.supergroup_id}`
         } else {
             return undefined
         }
     }
 
+    /**
+     * Updates of ids which aren't cached are ignored, the object is fetched from TDLib when it is requested.
+     * @param {string} name
+     * @param {object} data
+     * @returns {Promise<any>}
+     */
     _writeCache(name, data) {
         if (name === 'updateNewChat') {
-            if (this._cache.has(`chat:${data.chat.id}`)) {
-                Object.assign(this._cache.get(`chat:${data.chat.id}`), data.chat)
-            } else {
-                this._cache.set(`chat:${data.chat.id}`, data.chat)
-            }
+            return this._cache.set(`chat:${data.chat.id}`, data.chat)
         } else if (name === 'updateUser') {
-            if (this._cache.has(`user:${data.user.id}`)) {
-                Object.assign(this._cache.get(`user:${data.user.id}`), data.user)
-            } else {
-                this._cache.set(`user:${data.user.id}`, data.user)
-            }
+            return this._cache.set(`user:${data.user.id}`, data.user)
         } else if (name === 'updateBasicGroup') {
-            if (this._cache.has(`basicgroup:${data.basic_group.id}`)) {
-                Object.assign(this._cache.get(`basicgroup:${data.basic_group.id}`), data.basic_group)
-            } else {
-                this._cache.set(`basicgroup:${data.basic_group.id}`, data.basic_group)
-            }
+            // Member counts and the status are part of the full info too, it is fetched again when requested.
+            return Promise.all([
+                this._cache.set(`basicgroup:${data.basic_group.id}`, data.basic_group),
+                this._cache.delete(`basicgroupfullinfo:${data.basic_group.id}`)
+            ])
         } else if (name === 'updateSupergroup') {
-            if (this._cache.has(`supergroup:${data.supergroup.id}`)) {
-                Object.assign(this._cache.get(`supergroup:${data.supergroup.id}`), data.supergroup)
-            } else {
-                this._cache.set(`supergroup:${data.supergroup.id}`, data.supergroup)
-            }
+            return Promise.all([
+                this._cache.set(`supergroup:${data.supergroup.id}`, data.supergroup),
+                this._cache.delete(`supergroupfullinfo:${data.supergroup.id}`)
+            ])
         } else if (name === 'updateSecretChat') {
-            if (this._cache.has(`secretchat:${data.secret_chat.id}`)) {
-                Object.assign(this._cache.get(`secretchat:${data.secret_chat.id}`), data.secret_chat)
-            } else {
-                this._cache.set(`secretchat:${data.secret_chat.id}`, data.secret_chat)
-            }
+            return this._cache.set(`secretchat:${data.secret_chat.id}`, data.secret_chat)
         } else if (name === 'updateChatTitle') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.title = data.title
+            return this._cache.patch(`chat:${data.chat_id}`, { title: data.title })
         } else if (name === 'updateChatPhoto') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.photo = data.photo
+            return this._cache.patch(`chat:${data.chat_id}`, { photo: data.photo })
         } else if (name === 'updateChatLastMessage') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.last_message = data.last_message
-            cache.order = data.order
+            return this._cache.patch(`chat:${data.chat_id}`, { last_message: data.last_message, order: data.order })
         } else if (name === 'updateChatOrder') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.order = data.order
+            return this._cache.patch(`chat:${data.chat_id}`, { order: data.order })
         } else if (name === 'updateChatReadInbox') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.last_read_inbox_message_id = data.last_read_inbox_message_id
-            cache.unread_count = data.unread_count
+            return this._cache.patch(`chat:${data.chat_id}`, {
+                last_read_inbox_message_id: data.last_read_inbox_message_id,
+                unread_count: data.unread_count
+            })
         } else if (name === 'updateChatReadOutbox') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.last_read_outbox_message_id = data.last_read_outbox_message_id
+            return this._cache.patch(`chat:${data.chat_id}`, { last_read_outbox_message_id: data.last_read_outbox_message_id })
         } else if (name === 'updateChatReplyMarkup') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.reply_markup_message_id = data.reply_markup_message_id
+            return this._cache.patch(`chat:${data.chat_id}`, { reply_markup_message_id: data.reply_markup_message_id })
         } else if (name === 'updateChatDraftMessage') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.draft_message = data.draft_message
-            cache.order = data.order
+            return this._cache.patch(`chat:${data.chat_id}`, { draft_message: data.draft_message, order: data.order })
         } else if (name === 'updateChatNotificationSettings') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.notification_settings = data.notification_settings
+            return this._cache.patch(`chat:${data.chat_id}`, { notification_settings: data.notification_settings })
         } else if (name === 'updateChatUnreadMentionCount') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.unread_mention_count = data.unread_mention_count
+            return this._cache.patch(`chat:${data.chat_id}`, { unread_mention_count: data.unread_mention_count })
         } else if (name === 'updateChatIsPinned') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.is_pinned = data.is_pinned
-            cache.order = data.order
+            return this._cache.patch(`chat:${data.chat_id}`, { is_pinned: data.is_pinned, order: data.order })
         } else if (name === 'updateChatDefaultDisableNotification') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.default_disable_notification = data.default_disable_notification
+            return this._cache.patch(`chat:${data.chat_id}`, { default_disable_notification: data.default_disable_notification })
         } else if (name === 'updateChatIsSponsored') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.is_sponsored = data.is_sponsored
-            cache.order = data.order
+            return this._cache.patch(`chat:${data.chat_id}`, { is_sponsored: data.is_sponsored, order: data.order })
         } else if (name === 'updateChatIsMarkedAsUnread') {
-            const cache = this._cache.get(`chat:${data.chat_id}`)
-            cache.is_marked_as_unread = data.is_marked_as_unread
+            return this._cache.patch(`chat:${data.chat_id}`, { is_marked_as_unread: data.is_marked_as_unread })
         } else if (name === 'updateUserStatus') {
-            const cache = this._cache.get(`user:${data.user_id}`)
-            cache.status = data.status
+            return this._cache.patch(`user:${data.user_id}`, { status: data.status })
+        } else if (name === 'updateUserFullInfo') {
+            return this._cache.set(`userfullinfo:${data.user_id}`, data.user_full_info)
+        } else if (name === 'updateBasicGroupFullInfo') {
+            return this._cache.set(`basicgroupfullinfo:${data.basic_group_id}`, data.basic_group_full_info)
+        } else if (name === 'updateSupergroupFullInfo') {
+            return this._cache.set(`supergroupfullinfo:${data.supergroup_id}`, data.supergroup_full_info)
         }
+        return Promise.resolve()
     }
 
     // Cache System End
 
 }
 
+/**
+ * Following request of a method paged by offset and total_count.
+ * @param {object} params
+ * @param {{total_count: number}} result
+ * @param {object[]} items
+ */
+function nextOffset(params, result, items) {
+    const offset = params.offset + items.length
+    return offset < result.total_count ? Object.assign({}, params, { offset }) : null
+}
+
+/**
+ * Condition ending an iteration over messages, which go from newer to older.
+ * @param {number|Date|((message: object) => boolean)|undefined} until Message id, date or condition.
+ * @returns {((message: object) => boolean)|undefined}
+ */
+function untilMessage(until) {
+    if (typeof until === 'function') return until
+    if (until instanceof Date) return (message) => message.date * 1000 < until.getTime()
+    if (typeof until === 'number') return (message) => message.id <= until
+    return undefined
+}
+
 exports.TdClientActor = TdClientActor
@@ -34,6 +34,21 @@ declare export interface TDLibNativeInterface {
      * @param {Function} callback
      */
     td_client_receive_async(client_id: number, timeout: number, callback: (err: Error, res: string) => void): void;
+    /** Whether the native addon supports push delivery. Binaries built before it was added don't. */
+    has_push_receiver(): boolean;
+    /**
+     * Receive on a dedicated native thread and push the results to a callback.
+     * @param client_id Client identifier
+     * @param timeout Maximum number of seconds a receive call waits; bounds how long stopping takes.
+     * @param max_batch Maximum number of results passed to one callback call.
+     */
+    start_push_receiver(client_id: number, timeout: number, max_batch: number, callback: (updates: string[]) => void): void;
+    /**
+     * Stop the push receiver of a client.
+     * @param client_id Client identifier
+     * @param callback Called once the receive thread has exited.
+     */
+    stop_push_receiver(client_id: number, callback?: () => void): void;
     /**
      * Create a pipe file descriptior pair
      * @returns {number[]} A pair of reader/writer file descriptor
@@ -41,11 +56,23 @@ declare export interface TDLibNativeInterface {
     create_pipe_fd(): number[];
     /**
      * Register a file descriptor as client event listener.
+     * Events are written as newline-terminated JSON.
      * @param {number} client_id 
      * @param {number} write_fd 
      */
     register_receiver_fd(client_id: number, write_fd: number): void;
+    /**
+     * Stop writing client events to the registered file descriptor.
+     * @param {number} client_id 
+     */
+    unregister_receiver_fd(client_id: number): void;
 }
 
+/**
+ * Functions a client needs from a TDLib implementation, e.g. a FakeTDLib in tests.
+ * Without create_pipe_fd or has_push_receiver, the fdpipe and push polling modes fall back to sync.
+ */
+declare export type TDLibBackend = Pick<TDLibNativeInterface, "td_client_create" | "td_client_destroy" | "td_client_send" | "td_client_receive" | "td_client_execute" | "td_client_receive_async"> & Partial<TDLibNativeInterface>;
+
 declare export const TDLib: TDLibNativeInterface;
 export as namespace TDLibNative;
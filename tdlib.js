@@ -1,7 +1,28 @@
 
 // @ts-nocheck
 
-const tdlib_native = require('./tdlib.node')
+let tdlib_native = null
+
+/**
+ * Load the native library on first use, so that modules not talking to TDLib, e.g. a client replaying a recording, work without it.
+ */
+function native() {
+    if (!tdlib_native) tdlib_native = require('./tdlib.node')
+    return tdlib_native
+}
+
+/**
+ * Functions a client needs from a TDLib implementation, e.g. a FakeTDLib in tests.
+ * Without create_pipe_fd or has_push_receiver, the fdpipe and push polling modes fall back to sync.
+ * @typedef TDLibBackend
+ * @property {() => number} td_client_create
+ * @property {(client_id: number) => void} td_client_destroy
+ * @property {(client_id: number, request: string) => void} td_client_send
+ * @property {(client_id: number, timeout: number) => string[]} td_client_receive
+ * @property {(client_id: number, request: string) => string} td_client_execute
+ * @property {(client_id: number, timeout: number, callback: (err: Error, res: string) => void) => void} td_client_receive_async
+ * @property {() => boolean} [has_push_receiver]
+ */
 
 /**
  * TDLib Native Library Wrapper
@@ -11,25 +32,32 @@ exports.TDLib = class TDLibNative {
      * Create a TDLib Client 
      * @returns {number} Return a sequence number for client identifier
      */
-    static td_client_create() { return tdlib_native.td_client_create() }
+    static td_client_create() { return native().td_client_create() }
     /**
      * Destroy a TDLib Client
      * @param {number} client_id Client identifier
      */
-    static td_client_destroy(client_id) { tdlib_native.td_client_destroy(client_id) }
+    static td_client_destroy(client_id) { native().td_client_destroy(client_id) }
     /**
      * Sends request to TDLib.
      * @param {number} client_id Client identifier
      * @param {string} request JSON serialized request
      */
-    static td_client_send(client_id, request) { tdlib_native.td_client_send(client_id, request) }
+    static td_client_send(client_id, request) { native().td_client_send(client_id, request) }
     /**
      * Receives incoming updates and request responses from TDLib.
      * @param {number} client_id Client identifier
      * @param {number} timeout Maximum number of seconds allowed for this function to wait for new data.
      * @returns {string[]}
      */
-    static td_client_receive(client_id, timeout) { return tdlib_native.td_client_receive(client_id, timeout) }
+    static td_client_receive(client_id, timeout) { return native().td_client_receive(client_id, timeout) }
+    /**
+     * Sends synchronized request to TDLib.
+     * @param {number} client_id Client identifier, 0 for methods which don't need a client
+     * @param {string} request JSON serialized request
+     * @returns {string}
+     */
+    static td_client_execute(client_id, request) { return native().td_client_execute(client_id, request) }
 
     /**
      * @callback TdClientReceiveAsyncCallback
@@ -43,7 +71,26 @@ exports.TDLib = class TDLibNative {
      * @param {number} timeout Maximum number of seconds allowed for this function to wait for new data.
      * @param {TdClientReceiveAsyncCallback} callback
      */
-    static td_client_receive_async(client_id, timeout, callback) { tdlib_native.td_client_receive_async(client_id, timeout, callback) }
+    static td_client_receive_async(client_id, timeout, callback) { native().td_client_receive_async(client_id, timeout, callback) }
+    /**
+     * Whether the native addon supports push delivery. Binaries built before it was added don't.
+     * @returns {boolean}
+     */
+    static has_push_receiver() { return typeof native().start_push_receiver === 'function' }
+    /**
+     * Receive on a dedicated native thread and push the results to a callback.
+     * @param {number} client_id Client identifier
+     * @param {number} timeout Maximum number of seconds a receive call waits; bounds how long stopping takes.
+     * @param {number} max_batch Maximum number of results passed to one callback call.
+     * @param {(updates: string[]) => void} callback
+     */
+    static start_push_receiver(client_id, timeout, max_batch, callback) { native().start_push_receiver(client_id, timeout, max_batch, callback) }
+    /**
+     * Stop the push receiver of a client.
+     * @param {number} client_id Client identifier
+     * @param {() => void} [callback] Called once the receive thread has exited.
+     */
+    static stop_push_receiver(client_id, callback) { native().stop_push_receiver(client_id, callback) }
     /**
      * Sets the path to the file to where the internal TDLib log will be written. 
      * By default TDLib writes logs to stderr or an OS specific log. 
@@ -51,29 +98,35 @@ exports.TDLib = class TDLibNative {
      * @param {string} file_path Path to a file where the internal TDLib log will be written. Use an empty path to switch back to the default logging behaviour.
      * @returns {boolean} True on success, or false otherwise, i.e. if the file can't be opened for writing.
      */
-    static td_set_log_file_path(file_path) { return tdlib_native.td_set_log_file_path(file_path) }
+    static td_set_log_file_path(file_path) { return native().td_set_log_file_path(file_path) }
     /**
      * Sets maximum size of the file to where the internal TDLib log is written before the file will be auto-rotated. 
      * Unused if log is not written to a file. Defaults to 10 MB.
      * @param {number} max_file_size Maximum size of the file to where the internal TDLib log is written before the file will be auto-rotated. Should be positive.
      */
-    static td_set_log_max_file_size(max_file_size) { tdlib_native.td_set_log_max_file_size(max_file_size) }
+    static td_set_log_max_file_size(max_file_size) { native().td_set_log_max_file_size(max_file_size) }
     /**
      * Sets the verbosity level of the internal logging of TDLib. 
      * By default the TDLib uses a verbosity level of 5 for logging.
      * @param {number} new_verbosity_level New value of the verbosity level for logging. Value 0 corresponds to fatal errors, value 1 corresponds to errors, value 2 corresponds to warnings and debug warnings, value 3 corresponds to informational, value 4 corresponds to debug, value 5 corresponds to verbose debug, value greater than 5 and up to 1024 can be used to enable even more logging.
      */
-    static td_set_log_verbosity_level(new_verbosity_level) { tdlib_native.td_set_log_verbosity_level(new_verbosity_level) }
+    static td_set_log_verbosity_level(new_verbosity_level) { native().td_set_log_verbosity_level(new_verbosity_level) }
     /**
      * Create a pipe file descriptior pair
      * @returns {number[]} A pair of reader/writer file descriptor
      */
-    static create_pipe_fd() { return tdlib_native.create_pipe_fd() }
+    static create_pipe_fd() { return native().create_pipe_fd() }
     /**
      * Register a file descriptor as client event listener.
+     * Events are written as newline-terminated JSON.
      * @param {number} client_id 
      * @param {number} write_fd 
      */
-    static register_receiver_fd(client_id, write_fd) { tdlib_native.register_receiver_fd(client_id, write_fd) }
+    static register_receiver_fd(client_id, write_fd) { native().register_receiver_fd(client_id, write_fd) }
+    /**
+     * Stop writing client events to the registered file descriptor.
+     * @param {number} client_id 
+     */
+    static unregister_receiver_fd(client_id) { native().unregister_receiver_fd(client_id) }
 
 }
@@ -0,0 +1,89 @@
+const assert = require('assert')
+const { Bot } = require('../index')
+const { test, FakeTDLib, clientOptions, once } = require('./support')
+
+const alice = {
+    '@type': 'user',
+    id: 7,
+    first_name: 'Alice',
+    last_name: '',
+    username: 'alice',
+    status: { '@type': 'userStatusEmpty' },
+    type: { '@type': 'userTypeRegular' },
+    language_code: ''
+}
+
+const alice_chat = {
+    '@type': 'chat',
+    id: 7,
+    title: 'Alice',
+    type: { '@type': 'chatTypePrivate', user_id: 7 },
+    order: '0'
+}
+
+/**
+ * A bot logged in on the fake, which knows Alice and answers sendMessage like TDLib.
+ * @param {FakeTDLib} fake
+ * @param {object} [options]
+ * @param {number[]} [send_times] Receives the time of every sendMessage request.
+ */
+async function readyBot(fake, options = {}, send_times = []) {
+    const bot = new Bot(1, 'hash', '42:token', false, null, clientOptions(fake, options))
+    await once(bot, 'ready')
+    fake.add(alice).add(alice_chat)
+    let last_message_id = 0
+    fake.handle('sendMessage', (request) => {
+        send_times.push(Date.now())
+        const message = {
+            '@type': 'message',
+            id: ++last_message_id * 1048576,
+            sender_user_id: 42,
+            chat_id: request.chat_id,
+            is_outgoing: true,
+            date: 1000,
+            sending_state: { '@type': 'messageSendingStatePending' },
+            content: {
+                '@type': 'messageText',
+                text: { '@type': 'formattedText', text: request.input_message_content.text.text, entities: [] }
+            }
+        }
+        // TDLib answers with the pending message and announces the sent one once the server confirms it.
+        setTimeout(() => fake.pushUpdate({
+            '@type': 'updateMessageSendSucceeded',
+            old_message_id: message.id,
+            message: Object.assign({}, message, { sending_state: null })
+        }), 20)
+        return message
+    })
+    return bot
+}
+
+test('bot sendMessage() sends to TDLib and returns the sent message', async () => {
+    const fake = new FakeTDLib()
+    const bot = await readyBot(fake)
+    const message = await bot.sendMessage(7, 'hello')
+    assert.strictEqual(fake.requests('sendMessage')[0].chat_id, 7)
+    assert.strictEqual(message.text, 'hello')
+    assert.strictEqual(message.chat.id, 7)
+    bot.destroy()
+})
+
+test('bot messages to a private chat are paced by the rate limit', async () => {
+    const fake = new FakeTDLib()
+    const sent = []
+    const bot = await readyBot(fake, { rate_limit: { private: { limit: 1, interval: 200 } } }, sent)
+    await Promise.all([bot.sendMessage(7, 'one'), bot.sendMessage(7, 'two')])
+    assert.strictEqual(sent.length, 2)
+    assert.ok(sent[1] - sent[0] >= 190)
+    bot.destroy()
+})
+
+test('bot messages are sent without pacing when rate_limit is false', async () => {
+    const fake = new FakeTDLib()
+    const bot = await readyBot(fake, { rate_limit: false })
+    const started = Date.now()
+    await Promise.all([bot.sendMessage(7, 'one'), bot.sendMessage(7, 'two'), bot.sendMessage(7, 'three')])
+    assert.strictEqual(fake.requests('sendMessage').length, 3)
+    assert.ok(Date.now() - started < 500)
+    bot.destroy()
+})
@@ -0,0 +1,219 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { MemoryCache, FileCache } = require('../cache')
+const { test, FakeTDLib, readyClient, tempDirectory, sleep } = require('./support')
+
+/**
+ * @param {number} id
+ */
+function chat(id) {
+    return {
+        '@type': 'chat',
+        id,
+        title: `Chat ${id}`,
+        type: { '@type': 'chatTypeBasicGroup', basic_group_id: -id },
+        order: '0'
+    }
+}
+
+test('memory cache evicts the least recently used entries of a kind', async () => {
+    const cache = new MemoryCache({ max_entries: { chat: 2 } })
+    await cache.set('chat:1', chat(1))
+    await cache.set('chat:2', chat(2))
+    await cache.set('user:1', { id: 1 })
+    await cache.get('chat:1')
+    await cache.set('chat:3', chat(3))
+    assert.strictEqual(await cache.get('chat:2'), undefined)
+    assert.strictEqual((await cache.get('chat:1')).id, 1)
+    assert.strictEqual((await cache.get('chat:3')).id, 3)
+    const stats = cache.stats()
+    assert.strictEqual(stats.evictions, 1)
+    assert.deepStrictEqual(stats.size, { chat: 2, user: 1 })
+    assert.strictEqual(stats.hits, 3)
+    assert.strictEqual(stats.misses, 1)
+})
+
+test('memory cache entries expire after the ttl', async () => {
+    const cache = new MemoryCache({ ttl: 30 })
+    await cache.set('chat:1', chat(1))
+    assert.strictEqual((await cache.get('chat:1')).id, 1)
+    await sleep(50)
+    assert.strictEqual(await cache.get('chat:1'), undefined)
+    assert.strictEqual(cache.stats().expirations, 1)
+})
+
+test('patch() changes cached objects only', async () => {
+    const cache = new MemoryCache()
+    await cache.set('chat:1', chat(1))
+    assert.strictEqual(await cache.patch('chat:1', { title: 'New' }), true)
+    assert.strictEqual(await cache.patch('chat:2', { title: 'New' }), false)
+    assert.strictEqual((await cache.get('chat:1')).title, 'New')
+    assert.strictEqual(await cache.get('chat:2'), undefined)
+})
+
+test('file cache stores every object as a JSON file', async () => {
+    const directory = tempDirectory()
+    const cache = new FileCache(directory)
+    // Operations on one key run in order, the patch can't overtake the set.
+    const set = cache.set('chat:-1', chat(-1))
+    const patched = cache.patch('chat:-1', { title: 'New' })
+    await set
+    assert.strictEqual(await patched, true)
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(directory, 'chat', '-1.json'), 'utf8')).value.title, 'New')
+    // Another instance on the same directory, like another process, sees the object.
+    assert.strictEqual((await new FileCache(directory).get('chat:-1')).title, 'New')
+    assert.strictEqual(await cache.delete('chat:-1'), true)
+    assert.strictEqual(await cache.get('chat:-1'), undefined)
+    assert.deepStrictEqual(cache.stats(), { size: {}, hits: 0, misses: 1, evictions: 0, expirations: 0 })
+})
+
+test('file cache entries expire after the ttl', async () => {
+    const directory = tempDirectory()
+    const cache = new FileCache(directory, { ttl: 30 })
+    await cache.set('user:1', { id: 1 })
+    await sleep(50)
+    assert.strictEqual(await cache.get('user:1'), undefined)
+    assert.strictEqual(fs.existsSync(path.join(directory, 'user', '1.json')), false)
+    assert.strictEqual(cache.stats().expirations, 1)
+})
+
+test('the client caches objects from updates and answers from the cache', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(-1) })
+    fake.pushUpdate({ '@type': 'updateChatTitle', chat_id: -1, title: 'Renamed' })
+    await sleep()
+    assert.strictEqual((await client.run('getChat', { chat_id: -1 })).title, 'Renamed')
+    assert.strictEqual(fake.requests('getChat').length, 0)
+    assert.strictEqual(client.getCacheStats().hits, 1)
+    client.destroy()
+})
+
+test('an evicted object is cached again from the answer', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { cache_policy: { max_entries: 1 } })
+    fake.add(chat(-1)).add(chat(-2))
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(-1) })
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(-2) })
+    await sleep()
+    await client.run('getChat', { chat_id: -1 })
+    await client.run('getChat', { chat_id: -1 })
+    assert.strictEqual(fake.requests('getChat').length, 1)
+    // Updates for a cached object keep applying to it.
+    fake.pushUpdate({ '@type': 'updateChatTitle', chat_id: -1, title: 'Renamed' })
+    await sleep()
+    assert.strictEqual((await client.run('getChat', { chat_id: -1 })).title, 'Renamed')
+    assert.strictEqual(fake.requests('getChat').length, 1)
+    client.destroy()
+})
+
+test('the client reads and writes the cache through cache_backend', async () => {
+    const fake = new FakeTDLib()
+    const directory = tempDirectory()
+    const client = await readyClient(fake, { cache_backend: new FileCache(directory) })
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(-1) })
+    await sleep(50)
+    assert.strictEqual((await client.run('getChat', { chat_id: -1 })).title, 'Chat -1')
+    assert.strictEqual(fake.requests('getChat').length, 0)
+    client.destroy()
+})
+
+test('a failing cache backend falls back to TDLib', async () => {
+    const fake = new FakeTDLib()
+    const warnings = []
+    const logger = { debug() {}, info() {}, warn: (message) => warnings.push(message), error() {} }
+    const failing = () => Promise.reject(new Error('unavailable'))
+    const client = await readyClient(fake, { logger, cache_backend: { get: failing, set: failing, patch: failing, delete: failing } })
+    fake.add(chat(-1))
+    assert.strictEqual((await client.run('getChat', { chat_id: -1 })).title, 'Chat -1')
+    await sleep()
+    assert.ok(warnings.indexOf('Failed to read cache') > -1)
+    assert.ok(warnings.indexOf('Failed to write cache') > -1)
+    client.destroy()
+})
+
+test('full info is cached from the answer and from updates', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const full_info = { '@type': 'supergroupFullInfo', description: 'Old', member_count: 10 }
+    fake.addFullInfo(5, full_info)
+    assert.strictEqual((await client.run('getSupergroupFullInfo', { supergroup_id: 5 })).description, 'Old')
+    await client.run('getSupergroupFullInfo', { supergroup_id: 5 })
+    assert.strictEqual(fake.requests('getSupergroupFullInfo').length, 1)
+
+    fake.pushUpdate({ '@type': 'updateSupergroupFullInfo', supergroup_id: 5, supergroup_full_info: Object.assign({}, full_info, { description: 'New' }) })
+    await sleep()
+    assert.strictEqual((await client.run('getSupergroupFullInfo', { supergroup_id: 5 })).description, 'New')
+    assert.strictEqual(fake.requests('getSupergroupFullInfo').length, 1)
+
+    // A changed supergroup drops its full info, which is fetched again.
+    fake.pushUpdate({ '@type': 'updateSupergroup', supergroup: { '@type': 'supergroup', id: 5, member_count: 11 } })
+    await sleep()
+    await client.run('getSupergroupFullInfo', { supergroup_id: 5 })
+    assert.strictEqual(fake.requests('getSupergroupFullInfo').length, 2)
+    client.destroy()
+})
+
+test('full info expires after 5 minutes unless the ttl says otherwise', async () => {
+    const now = Date.now
+    const cache = new MemoryCache()
+    const files = new FileCache(tempDirectory())
+    const kept = new MemoryCache({ ttl: 0 })
+    for (const backend of [cache, files, kept]) {
+        await backend.set('userfullinfo:1', { bio: '' })
+        await backend.set('user:1', { id: 1 })
+    }
+    Date.now = () => now() + 5 * 60 * 1000 + 1000
+    try {
+        for (const backend of [cache, files]) {
+            assert.strictEqual(await backend.get('userfullinfo:1'), undefined)
+            assert.strictEqual((await backend.get('user:1')).id, 1)
+        }
+        assert.deepStrictEqual(await kept.get('userfullinfo:1'), { bio: '' })
+    } finally {
+        Date.now = now
+    }
+    const short = new MemoryCache({ ttl: { user: 20 } })
+    await short.set('user:1', { id: 1 })
+    await short.set('chat:1', chat(1))
+    await sleep(40)
+    assert.strictEqual(await short.get('user:1'), undefined)
+    assert.strictEqual((await short.get('chat:1')).id, 1)
+})
+
+test('persist_cache restores the cache written by close()', async () => {
+    const directory = tempDirectory()
+    const options = { persist_cache: true, database_directory: directory }
+    const first_fake = new FakeTDLib()
+    const first = await readyClient(first_fake, options)
+    first_fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(-1) })
+    await sleep()
+    await first.close()
+    const snapshot = path.join(directory, 'test', 'cache_snapshot.json')
+    assert.strictEqual(fs.existsSync(snapshot), true)
+
+    const fake = new FakeTDLib()
+    const second = await readyClient(fake, options)
+    // The snapshot is deleted once read, a crash can't restore it again.
+    assert.strictEqual(fs.existsSync(snapshot), false)
+    assert.strictEqual((await second.run('getChat', { chat_id: -1 })).title, 'Chat -1')
+    assert.strictEqual(fake.requests('getChat').length, 0)
+    second.destroy()
+})
+
+test('persist_cache ignores stale snapshots', async () => {
+    const directory = tempDirectory()
+    fs.mkdirSync(path.join(directory, 'test'), { recursive: true })
+    const snapshot = { version: 1, identifier: 'test', saved_at: Date.now() - 2 * 60 * 60 * 1000, objects: [['chat:-1', { value: chat(-1), time: Date.now() }]] }
+    fs.writeFileSync(path.join(directory, 'test', 'cache_snapshot.json'), JSON.stringify(snapshot))
+    const fake = new FakeTDLib()
+    fake.add(chat(-1))
+    const infos = []
+    const logger = { debug() {}, info: (message) => infos.push(message), warn() {}, error() {} }
+    const client = await readyClient(fake, { logger, persist_cache: true, database_directory: directory })
+    await client.run('getChat', { chat_id: -1 })
+    assert.strictEqual(fake.requests('getChat').length, 1)
+    assert.deepStrictEqual(infos, ['Ignoring stale cache snapshot'])
+    client.destroy()
+})
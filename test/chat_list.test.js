@@ -0,0 +1,89 @@
+const assert = require('assert')
+const { ChatList } = require('../chat_list')
+const { test, FakeTDLib, readyClient, sleep } = require('./support')
+
+/**
+ * @param {number} id
+ * @param {string} order
+ */
+function chat(id, order) {
+    return { '@type': 'chat', id, title: `Chat ${id}`, type: { '@type': 'chatTypePrivate', user_id: id }, order }
+}
+
+/**
+ * A fake whose getChats pages through the chats like TDLib, by descending order and chat id.
+ * The orders have to be small enough for numbers.
+ * @param {object[]} chats
+ */
+function fakeWithChats(chats) {
+    const fake = new FakeTDLib()
+    const sorted = chats.slice().sort((a, b) => Number(b.order) - Number(a.order) || b.id - a.id)
+    fake.handle('getChats', (request) => {
+        const offset = Number(request.offset_order)
+        const after = sorted.filter((chat) => Number(chat.order) < offset || Number(chat.order) === offset && chat.id < request.offset_chat_id)
+        return { '@type': 'chats', chat_ids: after.slice(0, request.limit).map((chat) => chat.id) }
+    })
+    return fake
+}
+
+test('load() pages through the list until it is complete', async () => {
+    const chats = [chat(1, '300'), chat(2, '100'), chat(3, '200'), chat(4, '100')]
+    const fake = fakeWithChats(chats)
+    const client = await readyClient(fake)
+    const list = new ChatList(client, { page_size: 2 })
+    for (const known of chats) fake.add(known)
+    await sleep()
+    assert.deepStrictEqual(await list.load(3), [1, 3, 4])
+    assert.strictEqual(list.complete, false)
+    // A concurrent load() continues where the previous one ends.
+    const rest = list.load()
+    assert.deepStrictEqual(await list.load(), [])
+    assert.deepStrictEqual(await rest, [2])
+    assert.strictEqual(list.complete, true)
+    assert.deepStrictEqual(list.chats(), [1, 3, 4, 2])
+    assert.deepStrictEqual(fake.requests('getChats').map((request) => request.limit), [2, 1, 2, 1])
+    list.destroy()
+    client.destroy()
+})
+
+test('order updates move, add and remove chats', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const list = new ChatList(client)
+    const events = []
+    for (const event of ['add', 'move', 'remove']) list.on(event, (...args) => events.push([event].concat(args)))
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(1, '100') })
+    fake.pushUpdate({ '@type': 'updateNewChat', chat: chat(2, '0') })
+    fake.pushUpdate({ '@type': 'updateChatOrder', chat_id: 2, order: '200' })
+    // Orders above 2^53 are compared without losing precision.
+    fake.pushUpdate({ '@type': 'updateChatLastMessage', chat_id: 1, last_message: null, order: '9007199254740993' })
+    fake.pushUpdate({ '@type': 'updateChatIsPinned', chat_id: 2, is_pinned: true, order: '9007199254740992' })
+    fake.pushUpdate({ '@type': 'updateChatOrder', chat_id: 1, order: '0' })
+    await sleep()
+    assert.deepStrictEqual(events, [
+        ['add', 1, 0],
+        ['add', 2, 0],
+        ['move', 1, 0, 1],
+        ['move', 2, 1, 1],
+        ['remove', 1, 0]
+    ])
+    assert.deepStrictEqual(list.chats(), [2])
+    assert.strictEqual(list.indexOf(1), -1)
+    assert.strictEqual(list.has(2), true)
+    assert.strictEqual(list.size, 1)
+    list.destroy()
+    client.destroy()
+})
+
+test('chats returned before their updateNewChat was handled are requested', async () => {
+    const fake = new FakeTDLib()
+    fake.handle('getChats', (request) => ({ '@type': 'chats', chat_ids: request.offset_order === '9223372036854775807' ? [7] : [] }))
+    fake.handle('getChat', chat(7, '50'))
+    const client = await readyClient(fake, { use_cache: false })
+    const list = new ChatList(client)
+    assert.deepStrictEqual(await list.load(), [7])
+    assert.deepStrictEqual(list.chats(), [7])
+    assert.strictEqual(fake.requests('getChat').length, 1)
+    list.destroy()
+    client.destroy()
+})
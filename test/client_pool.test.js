@@ -0,0 +1,51 @@
+const assert = require('assert')
+const { Bot, ClientPool } = require('../index')
+const { test, FakeTDLib, clientOptions, once } = require('./support')
+
+/**
+ * A bot served by the pool.
+ * @param {ClientPool} pool
+ * @param {FakeTDLib} fake
+ * @param {string} identifier
+ */
+function pooledBot(pool, fake, identifier) {
+    return pool.create((options) => new Bot(1, 'hash', '42:token', false, null, clientOptions(fake, Object.assign({ identifier }, options))))
+}
+
+test('pooled clients are served by the pool and removed when closed', async () => {
+    const fake = new FakeTDLib()
+    const pool = new ClientPool({ poll_interval: 5 })
+    const added = []
+    const removed = []
+    pool.on('added', (client) => added.push(client._options.identifier))
+    pool.on('removed', (client) => removed.push(client._options.identifier))
+    const first = pooledBot(pool, fake, 'first')
+    const second = pooledBot(pool, fake, 'second')
+    await Promise.all([once(first, 'ready'), once(second, 'ready')])
+    assert.strictEqual(pool.size, 2)
+    assert.strictEqual(pool.get('first'), first)
+    assert.deepStrictEqual(added, ['first', 'second'])
+    assert.deepStrictEqual(pool.diagnostics().map((client) => [client.identifier, client.authorization_state, client.closed]), [
+        ['first', 'authorizationStateReady', false],
+        ['second', 'authorizationStateReady', false]
+    ])
+
+    await pool.destroy('first')
+    assert.strictEqual(pool.has('first'), false)
+    assert.strictEqual(first._closed, true)
+    await pool.closeAll()
+    assert.strictEqual(pool.size, 0)
+    assert.deepStrictEqual(removed, ['first', 'second'])
+    assert.strictEqual(pool._timer, null)
+})
+
+test('a client with an identifier already in the pool is rejected', async () => {
+    const fake = new FakeTDLib()
+    const pool = new ClientPool({ poll_interval: 5 })
+    const bot = pooledBot(pool, fake, 'bot')
+    assert.throws(() => pooledBot(pool, fake, 'bot'), /already exists/)
+    assert.throws(() => pool.create(() => new Bot(1, 'hash', '42:token', false, null, clientOptions(fake, { identifier: 'other' }))), /pool options/)
+    assert.strictEqual(pool.size, 1)
+    await once(bot, 'ready')
+    await pool.closeAll()
+})
@@ -0,0 +1,74 @@
+const assert = require('assert')
+const { Bot, TdClientActor, FakeTDLib } = require('../index')
+const { test, tempDirectory, once } = require('./support')
+
+/**
+ * Options of a client running on the fake through the native option, without the stand-in for the addon.
+ * @param {FakeTDLib} fake
+ * @param {object} [options]
+ */
+function nativeOptions(fake, options = {}) {
+    return Object.assign({ api_id: 1, api_hash: 'hash', identifier: 'native', database_directory: tempDirectory(), native: fake }, options)
+}
+
+test('the native option runs a client on FakeTDLib', async () => {
+    const fake = new FakeTDLib({ authorized: true })
+    const client = new TdClientActor(nativeOptions(fake, { polling_mode: 'push', tdlib_log_verbosity: 1 }))
+    await once(client, 'ready')
+    // Log settings go to the backend before the client is created.
+    assert.deepStrictEqual(fake.requests('setLogVerbosityLevel', 0), [{ '@type': 'setLogVerbosityLevel', new_verbosity_level: 1 }])
+    // Push delivery isn't emulated, the client polls instead.
+    assert.strictEqual(client._options.polling_mode, 'sync')
+    assert.strictEqual((await client.run('getMe'))['@type'], 'user')
+    await client.close()
+    assert.strictEqual(fake.authorizationState(1), 'authorizationStateClosed')
+})
+
+test('a bot logs in with its token and gets itself from getMe()', async () => {
+    const fake = new FakeTDLib()
+    const bot = new Bot(1, 'hash', '42:token', false, null, nativeOptions(fake))
+    await once(bot, 'ready')
+    assert.strictEqual(fake.requests('checkAuthenticationBotToken')[0].token, '42:token')
+    const me = await bot.getMe()
+    assert.strictEqual(me.id, 42)
+    assert.strictEqual(me.is_bot, true)
+    assert.strictEqual(me.username, 'fake42_bot')
+    await bot.close()
+})
+
+test('a bot converts incoming messages to Bot API messages', async () => {
+    const fake = new FakeTDLib()
+    const bot = new Bot(1, 'hash', '42:token', false, null, nativeOptions(fake))
+    await once(bot, 'ready')
+    fake.add({
+        '@type': 'user',
+        id: 7,
+        first_name: 'Alice',
+        last_name: '',
+        username: 'alice',
+        status: { '@type': 'userStatusEmpty' },
+        type: { '@type': 'userTypeRegular' },
+        language_code: ''
+    })
+    fake.add({ '@type': 'chat', id: 7, title: 'Alice', type: { '@type': 'chatTypePrivate', user_id: 7 }, order: '0' })
+    const received = once(bot, 'message')
+    fake.pushUpdate({
+        '@type': 'updateNewMessage',
+        message: {
+            '@type': 'message',
+            id: 1048576,
+            sender_user_id: 7,
+            chat_id: 7,
+            is_outgoing: false,
+            date: 1000,
+            content: { '@type': 'messageText', text: { '@type': 'formattedText', text: 'hi', entities: [] } }
+        }
+    })
+    const message = await received
+    assert.strictEqual(message.message_id, 1)
+    assert.strictEqual(message.text, 'hi')
+    assert.strictEqual(message.from.username, 'alice')
+    assert.strictEqual(message.chat.id, 7)
+    assert.strictEqual(message.chat.type, 'user')
+    await bot.close()
+})
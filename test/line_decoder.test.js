@@ -0,0 +1,35 @@
+const assert = require('assert')
+const { LineDecoder } = require('../line_decoder')
+const { test } = require('./support')
+
+/**
+ * Decode the chunks and collect the lines.
+ * @param {Buffer[]} chunks
+ * @returns {Promise<string[]>}
+ */
+function decode(chunks) {
+    return new Promise((rs, rj) => {
+        const lines = []
+        const decoder = new LineDecoder()
+        decoder.on('data', (line) => lines.push(line))
+        decoder.on('end', () => rs(lines))
+        decoder.on('error', rj)
+        for (const chunk of chunks) decoder.write(chunk)
+        decoder.end()
+    })
+}
+
+test('lines are decoded whatever the chunk boundaries are', async () => {
+    const lines = await decode([Buffer.from('{"a":1}\n{"b"'), Buffer.from(':2}'), Buffer.from('\n\n{"c":3}\n')])
+    assert.deepStrictEqual(lines, ['{"a":1}', '{"b":2}', '{"c":3}'])
+})
+
+test('a character split across chunks is decoded once it is complete', async () => {
+    const bytes = Buffer.from('{"text":"привет"}\n')
+    const lines = await decode([bytes.slice(0, 11), bytes.slice(11)])
+    assert.deepStrictEqual(lines, ['{"text":"привет"}'])
+})
+
+test('the last line is emitted without a trailing newline', async () => {
+    assert.deepStrictEqual(await decode([Buffer.from('{"a":1}\n{"b":2}')]), ['{"a":1}', '{"b":2}'])
+})
@@ -0,0 +1,54 @@
+const assert = require('assert')
+const { ConsoleLogger, withFields } = require('../logger')
+const { test, FakeTDLib, readyClient, sleep } = require('./support')
+
+/**
+ * A logger keeping its entries.
+ */
+function memoryLogger() {
+    const entries = []
+    const logger = { entries }
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (message, fields) => entries.push({ level, message, fields })
+    }
+    return logger
+}
+
+test('withFields() adds its fields to every entry', () => {
+    const logger = memoryLogger()
+    withFields(logger, { identifier: 'bot' }).warn('Slow', { ms: 10 })
+    assert.deepStrictEqual(logger.entries, [{ level: 'warn', message: 'Slow', fields: { identifier: 'bot', ms: 10 } }])
+})
+
+test('ConsoleLogger skips the levels below its own', () => {
+    const lines = []
+    const log = console.log
+    const error = console.error
+    console.log = console.error = (line) => lines.push(line)
+    try {
+        const logger = new ConsoleLogger('warn')
+        logger.info('hidden')
+        logger.warn('shown', { identifier: 'bot', chat_id: 7 })
+    } finally {
+        console.log = log
+        console.error = error
+    }
+    assert.deepStrictEqual(lines, ['WARN [bot] shown { chat_id: 7 }'])
+    assert.throws(() => new ConsoleLogger('verbose'), /unknown log level/)
+})
+
+test('errors of the client go to its logger with its identifier', async () => {
+    const fake = new FakeTDLib()
+    const logger = memoryLogger()
+    const client = await readyClient(fake, { logger })
+    client.on('__updateOption', () => {
+        throw new Error('boom')
+    })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'version', value: { '@type': 'optionValueString', value: '1.6.0' } })
+    await sleep()
+    const entry = logger.entries.find((entry) => entry.message === 'Failed to process update')
+    assert.strictEqual(entry.level, 'error')
+    assert.strictEqual(entry.fields.identifier, 'test')
+    assert.strictEqual(entry.fields.error.message, 'boom')
+    client.destroy()
+})
@@ -0,0 +1,83 @@
+const assert = require('assert')
+const { MessageStore } = require('../message_store')
+const { test, FakeTDLib, readyClient, sleep } = require('./support')
+
+/**
+ * @param {number} id
+ * @param {string} text
+ */
+function message(id, text) {
+    return { '@type': 'message', id, chat_id: -1, content: { '@type': 'messageText', text: { text } }, edit_date: 0 }
+}
+
+/**
+ * @param {number} id
+ * @param {string} text
+ */
+function content(id, text) {
+    return { '@type': 'updateMessageContent', chat_id: -1, message_id: id, new_content: { '@type': 'messageText', text: { text } } }
+}
+
+/**
+ * @param {number} id
+ * @param {number} edit_date
+ * @param {object} [reply_markup]
+ */
+function edited(id, edit_date, reply_markup) {
+    return { '@type': 'updateMessageEdited', chat_id: -1, message_id: id, edit_date, reply_markup }
+}
+
+test('an edit keeps the version before the content change', () => {
+    const store = new MessageStore()
+    store.add(message(1, 'old'))
+    assert.strictEqual(store.getPrevious(-1, 1), undefined)
+    store.apply(content(1, 'new'))
+    store.apply(edited(1, 100))
+    assert.strictEqual(store.getPrevious(-1, 1).content.text.text, 'old')
+    assert.strictEqual(store.get(-1, 1).content.text.text, 'new')
+    assert.strictEqual(store.get(-1, 1).edit_date, 100)
+})
+
+test('a markup-only edit after a content change without an edit takes the changed version', () => {
+    const store = new MessageStore()
+    store.add(message(1, 'old'))
+    store.add(message(2, 'other'))
+    // A content change which isn't an edit, like a live location, has no updateMessageEdited.
+    store.apply(content(1, 'moved'))
+    store.apply(content(2, 'other moved'))
+    store.apply(edited(1, 100, { '@type': 'replyMarkupInlineKeyboard', rows: [] }))
+    assert.strictEqual(store.getPrevious(-1, 1).content.text.text, 'moved')
+    assert.strictEqual(store.getPrevious(-1, 1).reply_markup, undefined)
+
+    store.apply(content(1, 'moved again'))
+    store.apply(edited(1, 200))
+    assert.strictEqual(store.getPrevious(-1, 1).content.text.text, 'moved')
+})
+
+test('every chat keeps its latest messages and the most recently active chats', () => {
+    const store = new MessageStore({ max_messages_per_chat: 2, max_chats: 1 })
+    for (let id = 1; id <= 3; id++) store.add(message(id, `${id}`))
+    assert.deepStrictEqual(store.messages(-1).map((stored) => stored.id), [2, 3])
+    store.add(Object.assign(message(1, ''), { chat_id: -2 }))
+    assert.deepStrictEqual(store.messages(-1), [])
+    const deleted = store.apply({ '@type': 'updateDeleteMessages', chat_id: -2, message_ids: [1], is_permanent: true, from_cache: false })
+    assert.deepStrictEqual(deleted.map((stored) => stored.id), [1])
+})
+
+test('the client stores messages from updates with message_store', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { message_store: true })
+    const deleted = []
+    client.on('messages_deleted', (chat_id, messages) => deleted.push(chat_id, messages[0].id))
+    fake.pushUpdate({ '@type': 'updateNewMessage', message: message(1, 'old') })
+    fake.pushUpdate(content(1, 'new'))
+    fake.pushUpdate(edited(1, 100))
+    await sleep()
+    assert.strictEqual(client.getStoredMessage(-1, 1).content.text.text, 'new')
+    assert.strictEqual(client.getMessageBeforeEdit(-1, 1).content.text.text, 'old')
+    fake.pushUpdate({ '@type': 'updateDeleteMessages', chat_id: -1, message_ids: [1], is_permanent: true, from_cache: false })
+    await sleep()
+    assert.deepStrictEqual(deleted, [-1, 1])
+    assert.strictEqual(client.getStoredMessage(-1, 1), undefined)
+    client.destroy()
+})
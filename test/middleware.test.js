@@ -0,0 +1,93 @@
+const assert = require('assert')
+const { compose } = require('../middleware')
+const { test, FakeTDLib, readyClient, sleep } = require('./support')
+
+const chat = {
+    '@type': 'chat',
+    id: -100,
+    title: 'Test',
+    type: { '@type': 'chatTypeBasicGroup', basic_group_id: 100 },
+    order: '0'
+}
+
+test('compose() calls the middlewares in order and ends with final', () => {
+    const calls = []
+    const chain = compose([
+        (ctx, next) => {
+            calls.push('first')
+            return next() + 1
+        },
+        (ctx, next) => {
+            calls.push('second')
+            return next() * 2
+        }
+    ], (ctx) => ctx.value)
+    assert.strictEqual(chain({ value: 3 }), 7)
+    assert.deepStrictEqual(calls, ['first', 'second'])
+    assert.throws(() => compose([(ctx, next) => next() + next()], () => 1)({}), /next\(\) called multiple times/)
+})
+
+test('request middlewares may change the request and see the response', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { use_cache: false })
+    fake.add(chat)
+    const seen = []
+    client.use(async (ctx, next) => {
+        if (ctx.type !== 'request') return next()
+        if (ctx.method === 'getChat') ctx.params = { chat_id: -100 }
+        const response = await next()
+        seen.push([ctx.method, response['@type']])
+        return response
+    })
+    assert.strictEqual((await client.run('getChat', { chat_id: 1 })).title, 'Test')
+    assert.deepStrictEqual(seen, [['getChat', 'chat']])
+    assert.strictEqual(fake.requests('getChat')[0].chat_id, -100)
+    client.destroy()
+})
+
+test('update middlewares may drop updates', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const names = []
+    client.use((ctx, next) => {
+        if (ctx.type === 'update' && ctx.update['@type'] === 'updateOption' && ctx.update.name === 'dropped') return
+        return next()
+    })
+    client.onUpdate('updateOption', (update) => names.push(update.name))
+    fake.pushUpdate({ '@type': 'updateOption', name: 'dropped', value: { '@type': 'optionValueEmpty' } })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'kept', value: { '@type': 'optionValueEmpty' } })
+    await sleep()
+    assert.deepStrictEqual(names, ['kept'])
+    client.destroy()
+})
+
+test('rejections of async update middlewares are logged', async () => {
+    const fake = new FakeTDLib()
+    const errors = []
+    const logger = { debug() {}, info() {}, warn() {}, error: (message, fields) => errors.push([message, fields.error.message]) }
+    const client = await readyClient(fake, { logger })
+    client.use(async (ctx, next) => {
+        if (ctx.type === 'update' && ctx.update['@type'] === 'updateOption') throw new Error('boom')
+        return next()
+    })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'version', value: { '@type': 'optionValueEmpty' } })
+    await sleep()
+    assert.deepStrictEqual(errors, [['Failed to process update', 'boom']])
+    client.destroy()
+})
+
+test('cached responses are answered inside the chain', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    fake.add(chat)
+    let requests = 0
+    client.use((ctx, next) => {
+        if (ctx.type === 'request' && ctx.method === 'getChat') requests++
+        return next()
+    })
+    await client.run('getChat', { chat_id: -100 })
+    await client.run('getChat', { chat_id: -100 })
+    assert.strictEqual(requests, 2)
+    assert.strictEqual(fake.requests('getChat').length, 1)
+    client.destroy()
+})
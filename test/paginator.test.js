@@ -0,0 +1,85 @@
+const assert = require('assert')
+const { Paginator } = require('../paginator')
+const { AbortError } = require('../errors')
+const { test, FakeTDLib, readyClient, abortController } = require('./support')
+
+/**
+ * Messages 10 to 1 of chat -1, newest first, every one sent a minute after the previous one.
+ */
+const history = Array.from({ length: 10 }, (_, i) => ({ '@type': 'message', id: 10 - i, chat_id: -1, date: 1000 + (10 - i) * 60 }))
+
+/**
+ * A fake answering getChatHistory like TDLib, which includes the message the page starts from.
+ */
+function fakeWithHistory() {
+    const fake = new FakeTDLib()
+    fake.handle('getChatHistory', (request) => {
+        const start = request.from_message_id === 0 ? 0 : history.findIndex((message) => message.id <= request.from_message_id)
+        return { '@type': 'messages', total_count: history.length, messages: history.slice(start, start + request.limit) }
+    })
+    return fake
+}
+
+/**
+ * A client whose requests are answered by the function.
+ * @param {(method: string, params: object) => any} run
+ */
+function clientOf(run) {
+    return { run: (method, params) => Promise.resolve(run(method, params)) }
+}
+
+test('iterateHistory() pages through the history without repeating messages', async () => {
+    const fake = fakeWithHistory()
+    const client = await readyClient(fake)
+    const messages = await client.iterateHistory(-1).toArray()
+    assert.deepStrictEqual(messages.map((message) => message.id), [10, 9, 8, 7, 6, 5, 4, 3, 2, 1])
+    assert.deepStrictEqual(fake.requests('getChatHistory').map((request) => request.from_message_id), [0, 1])
+    client.destroy()
+})
+
+test('limit, filter and until end the iteration early', async () => {
+    const fake = fakeWithHistory()
+    const client = await readyClient(fake)
+    assert.deepStrictEqual((await client.iterateHistory(-1, { limit: 3 }).toArray()).map((message) => message.id), [10, 9, 8])
+    assert.strictEqual(fake.requests('getChatHistory')[0].limit, 3)
+    const even = client.iterateHistory(-1, { filter: (message) => message.id % 2 === 0, limit: 2 })
+    assert.deepStrictEqual((await even.toArray()).map((message) => message.id), [10, 8])
+    // Messages sent at the date are still yielded.
+    const recent = client.iterateHistory(-1, { until: new Date((1000 + 7 * 60) * 1000) })
+    assert.deepStrictEqual((await recent.toArray()).map((message) => message.id), [10, 9, 8, 7])
+    assert.deepStrictEqual((await client.iterateHistory(-1, { until: 9 }).toArray()).map((message) => message.id), [10])
+    client.destroy()
+})
+
+test('next() calls without awaiting get the items in order', async () => {
+    let page = 0
+    const paginator = new Paginator(clientOf(() => ({ items: page++ === 0 ? [{ id: 1 }, { id: 2 }] : [] })), {
+        method: 'getItems',
+        params: {},
+        page_size: 2,
+        items: (result) => result.items,
+        key: (item) => item.id,
+        next: (params) => params
+    })
+    const results = await Promise.all([paginator.next(), paginator.next(), paginator.next()])
+    assert.deepStrictEqual(results, [{ value: { id: 1 }, done: false }, { value: { id: 2 }, done: false }, { value: undefined, done: true }])
+    assert.deepStrictEqual(await paginator.return(), { value: undefined, done: true })
+})
+
+test('aborting the signal ends the wait between pages', async () => {
+    const controller = abortController()
+    let requests = 0
+    const paginator = new Paginator(clientOf(() => ({ items: [{ id: ++requests }] })), {
+        method: 'getItems',
+        params: {},
+        page_size: 1,
+        items: (result) => result.items,
+        key: (item) => item.id,
+        next: (params) => params
+    }, { interval: 60000, signal: controller.signal })
+    assert.strictEqual((await paginator.next()).value.id, 1)
+    const next = paginator.next()
+    controller.abort()
+    await assert.rejects(next, AbortError)
+    assert.strictEqual(requests, 1)
+})
@@ -0,0 +1,84 @@
+const assert = require('assert')
+const { TokenBucket, SendScheduler } = require('../rate_limiter')
+const { test, sleep } = require('./support')
+
+const fast_limits = {
+    global: { limit: 100, interval: 100 },
+    private: { limit: 1, interval: 100 },
+    group: { limit: 2, interval: 100 }
+}
+
+test('token bucket allows a burst up to its capacity and then refills', async () => {
+    const bucket = new TokenBucket({ limit: 2, interval: 100 })
+    assert.strictEqual(bucket.delay(), 0)
+    bucket.take()
+    bucket.take()
+    assert.ok(bucket.delay() > 0)
+    assert.strictEqual(bucket.isFull(), false)
+    await sleep(110)
+    assert.strictEqual(bucket.delay(), 0)
+    assert.strictEqual(bucket.isFull(), true)
+})
+
+test('sends to one chat are paced by the chat limit', async () => {
+    const scheduler = new SendScheduler(fast_limits)
+    const started = Date.now()
+    const times = await Promise.all([1, 2, 3].map(() => scheduler.schedule(7, async () => Date.now() - started)))
+    assert.ok(times[0] < 50)
+    assert.ok(times[1] >= 90)
+    assert.ok(times[2] >= 190)
+})
+
+test('a busy chat does not delay the other chats', async () => {
+    const scheduler = new SendScheduler(fast_limits)
+    const order = []
+    const jobs = []
+    for (let i = 0; i < 3; i++) jobs.push(scheduler.schedule(7, async () => order.push(`a${i}`)))
+    jobs.push(scheduler.schedule(8, async () => order.push('b0')))
+    // Groups allow two messages per interval.
+    jobs.push(scheduler.schedule(-9, async () => order.push('c0')))
+    jobs.push(scheduler.schedule(-9, async () => order.push('c1')))
+    await sleep(50)
+    assert.deepStrictEqual(order.slice().sort(), ['a0', 'b0', 'c0', 'c1'])
+    await Promise.all(jobs)
+    assert.deepStrictEqual(order.slice(4), ['a1', 'a2'])
+})
+
+test('queued sends of a chat run in priority order', async () => {
+    const scheduler = new SendScheduler(fast_limits)
+    const order = []
+    const jobs = [
+        scheduler.schedule(7, async () => order.push('first')),
+        scheduler.schedule(7, async () => order.push('low')),
+        scheduler.schedule(7, async () => order.push('high'), 1)
+    ]
+    await Promise.all(jobs)
+    assert.deepStrictEqual(order, ['first', 'high', 'low'])
+})
+
+test('the global limit applies across chats', async () => {
+    const scheduler = new SendScheduler({ global: { limit: 2, interval: 100 }, private: { limit: 10, interval: 100 } })
+    const started = Date.now()
+    const times = await Promise.all([1, 2, 3].map((chat_id) => scheduler.schedule(chat_id, async () => Date.now() - started)))
+    assert.ok(times[1] < 50)
+    assert.ok(times[2] >= 40)
+})
+
+test('a send costing several messages takes as many tokens', async () => {
+    const scheduler = new SendScheduler({ global: { limit: 100, interval: 100 }, group: { limit: 3, interval: 300 } })
+    const started = Date.now()
+    await scheduler.schedule(-9, async () => {}, 0, 3)
+    const time = await scheduler.schedule(-9, async () => Date.now() - started)
+    assert.ok(time >= 90)
+})
+
+test('clear() rejects the queued sends', async () => {
+    const scheduler = new SendScheduler(fast_limits)
+    const first = scheduler.schedule(7, async () => 'sent')
+    const second = scheduler.schedule(7, async () => 'sent')
+    assert.strictEqual(scheduler.size, 1)
+    scheduler.clear(new Error('Client closed.'))
+    assert.strictEqual(await first, 'sent')
+    await assert.rejects(second, /Client closed/)
+    assert.strictEqual(scheduler.size, 0)
+})
@@ -0,0 +1,47 @@
+// Runs every *.test.js file of this directory. Tests use FakeTDLib, so neither a compiled TDLib nor network access is needed.
+const fs = require('fs')
+const path = require('path')
+const { tests, cleanup } = require('./support')
+
+const timeout = 10000
+
+fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.test.js'))
+    .sort()
+    .forEach((file) => require(path.join(__dirname, file)))
+
+/**
+ * @param {() => Promise<void>} fn
+ */
+function runWithTimeout(fn) {
+    let timer
+    return Promise.race([
+        fn(),
+        new Promise((rs, rj) => {
+            timer = setTimeout(() => rj(new Error(`Timed out after ${timeout} ms`)), timeout)
+        })
+    ]).then(() => clearTimeout(timer), (e) => {
+        clearTimeout(timer)
+        throw e
+    })
+}
+
+async function main() {
+    let failed = 0
+    for (const { name, fn } of tests) {
+        try {
+            await runWithTimeout(fn)
+            console.log(`ok - ${name}`)
+        } catch (e) {
+            failed++
+            console.log(`not ok - ${name}`)
+            console.log(e && e.stack ? e.stack : e)
+        }
+    }
+    await cleanup()
+    console.log(`\n${tests.length - failed} passed, ${failed} failed`)
+    // Clients left open by a failed test would keep polling.
+    process.exit(failed > 0 ? 1 : 0)
+}
+
+main()
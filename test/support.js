@@ -0,0 +1,200 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Module = require('module')
+
+/**
+ * @typedef TestCase
+ * @property {string} name
+ * @property {() => Promise<void>} fn
+ */
+
+/** @type {TestCase[]} */
+const tests = []
+
+/** Database directories created by the tests, removed after the run. @type {string[]} */
+const directories = []
+
+/** The fake and its own id of every client created by the library, by the id handed to the library. @type {Map<number, {fake: any, client_id: number}>} */
+const fake_clients = new Map()
+let next_fake = null
+let last_client_id = 0
+/** Timers of the push receivers, by client id. @type {Map<number, NodeJS.Timeout>} */
+const push_receivers = new Map()
+
+/**
+ * Call a function of the fake which created the client.
+ * @param {string} name
+ */
+function routed(name) {
+    return (client_id, ...args) => {
+        const client = fake_clients.get(client_id)
+        if (!client) throw new Error(`Unknown client: ${client_id}`)
+        return client.fake[name](client.client_id, ...args)
+    }
+}
+
+// Stands in for tdlib.node, which is loaded together with the library. Every client talks to the fake passed to clientOptions().
+const native = {
+    td_client_create() {
+        if (!next_fake) throw new Error('No FakeTDLib for the client, create its options with clientOptions()')
+        const client_id = ++last_client_id
+        fake_clients.set(client_id, { fake: next_fake, client_id: next_fake.td_client_create() })
+        next_fake = null
+        return client_id
+    },
+    td_client_destroy: routed('td_client_destroy'),
+    td_client_send: routed('td_client_send'),
+    td_client_receive: routed('td_client_receive'),
+    td_client_receive_async: routed('td_client_receive_async'),
+    td_client_execute(client_id, request) {
+        // Methods without a client, like the log settings, are run before the client is created.
+        if (client_id === 0 && next_fake) return next_fake.td_client_execute(0, request)
+        return routed('td_client_execute')(client_id, request)
+    },
+    // Push delivery from a timer instead of a native thread, in batches of up to max_batch results.
+    start_push_receiver(client_id, timeout, max_batch, callback) {
+        const deliver = () => {
+            const updates = native.td_client_receive(client_id, 0)
+            for (let i = 0; i < updates.length && push_receivers.has(client_id); i += max_batch) callback(updates.slice(i, i + max_batch))
+            if (push_receivers.has(client_id)) push_receivers.set(client_id, setTimeout(deliver, 5))
+        }
+        push_receivers.set(client_id, setTimeout(deliver, 5))
+    },
+    stop_push_receiver(client_id, callback) {
+        clearTimeout(push_receivers.get(client_id))
+        push_receivers.delete(client_id)
+        if (callback) setImmediate(callback)
+    },
+    td_set_log_file_path() {
+        return true
+    },
+    td_set_log_max_file_size() {},
+    td_set_log_verbosity_level() {}
+}
+
+const load = Module._load
+Module._load = function (request, parent) {
+    if (request === './tdlib.node' && parent && path.basename(parent.filename) === 'tdlib.js') return native
+    return load.apply(this, arguments)
+}
+
+const { FakeTDLib } = require('../fake_tdlib')
+const { TdClientActor } = require('../index')
+
+exports.FakeTDLib = FakeTDLib
+
+/**
+ * Register a test. Tests run one after another in the order they are registered.
+ * @param {string} name
+ * @param {() => any} fn
+ */
+exports.test = (name, fn) => {
+    tests.push({ name, fn: async () => fn() })
+}
+
+exports.tests = tests
+
+/**
+ * A fresh database directory.
+ * @returns {string}
+ */
+exports.tempDirectory = () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tdlib-test-'))
+    directories.push(directory)
+    return directory
+}
+
+/**
+ * @param {string} directory
+ */
+function removeDirectory(directory) {
+    if (!fs.existsSync(directory)) return
+    for (const entry of fs.readdirSync(directory)) {
+        const entry_path = path.join(directory, entry)
+        if (fs.lstatSync(entry_path).isDirectory()) removeDirectory(entry_path)
+        else fs.unlinkSync(entry_path)
+    }
+    fs.rmdirSync(directory)
+}
+
+/**
+ * Remove the database directories of the run.
+ */
+exports.cleanup = async () => {
+    for (const directory of directories) removeDirectory(directory)
+}
+
+/**
+ * Options of a client running on the fake, with a fresh database directory.
+ * The client has to be created right after, it is the next one to talk to the fake.
+ * @param {FakeTDLib} fake
+ * @param {object} [options]
+ * @returns {object}
+ */
+exports.clientOptions = (fake, options = {}) => {
+    next_fake = fake
+    return Object.assign({
+        api_id: 1,
+        api_hash: 'hash',
+        identifier: 'test',
+        database_directory: exports.tempDirectory()
+    }, options)
+}
+
+/**
+ * A client logged in on the fake. Its phone number and code are answered like a user would.
+ * @param {FakeTDLib} fake
+ * @param {object} [options]
+ * @returns {Promise<TdClientActor>}
+ */
+exports.readyClient = async (fake, options = {}) => {
+    const client = new TdClientActor(exports.clientOptions(fake, options))
+    client.on('__updateAuthorizationState', (update) => {
+        switch (update.authorization_state['@type']) {
+            case 'authorizationStateWaitPhoneNumber':
+                return client.run('setAuthenticationPhoneNumber', { phone_number: '+15550000000' })
+            case 'authorizationStateWaitCode':
+                return client.run('checkAuthenticationCode', { code: '12345' })
+        }
+    })
+    await exports.once(client, 'ready')
+    return client
+}
+
+/**
+ * Wait for an event.
+ * @param {import('events').EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise<any>} The first argument of the event.
+ */
+exports.once = (emitter, event) => new Promise((rs) => emitter.once(event, rs))
+
+/**
+ * Wait for a few turns of the event loop, e.g. until the fake has answered and the client has processed it.
+ * @param {number} [ms]
+ */
+exports.sleep = (ms = 20) => new Promise((rs) => setTimeout(rs, ms))
+
+/**
+ * Enough of an AbortController for the library, which only listens for `abort`. Works on Node versions without one.
+ * @returns {{signal: any, abort: () => void}}
+ */
+exports.abortController = () => {
+    const listeners = []
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => {
+            const index = listeners.indexOf(listener)
+            if (index > -1) listeners.splice(index, 1)
+        }
+    }
+    return {
+        signal,
+        abort() {
+            signal.aborted = true
+            for (const listener of listeners.slice()) listener()
+        }
+    }
+}
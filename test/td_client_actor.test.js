@@ -0,0 +1,190 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { TdError, ChatNotFoundError, ClientClosedError, TimeoutError, AbortError } = require('../errors')
+const { TdClientActor } = require('../index')
+const { test, FakeTDLib, readyClient, clientOptions, abortController, sleep } = require('./support')
+
+const chat = {
+    '@type': 'chat',
+    id: -100,
+    title: 'Test',
+    type: { '@type': 'chatTypeBasicGroup', basic_group_id: 100 },
+    order: '0'
+}
+
+test('run() resolves with the response', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    fake.add(chat)
+    assert.strictEqual((await client.run('getChat', { chat_id: -100 })).title, 'Test')
+    fake.handle('sendMessage', (request) => ({ '@type': 'message', id: 1, chat_id: request.chat_id }))
+    const message = await client.run('sendMessage', { chat_id: -100 })
+    assert.strictEqual(message.chat_id, -100)
+    assert.strictEqual(fake.requests('sendMessage')[0].chat_id, -100)
+    client.destroy()
+})
+
+test('run() rejects with TimeoutError when there is no response in time', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { request_timeout: 1000 })
+    fake.handle('searchPublicChat', () => new Promise(() => {}))
+    await assert.rejects(client.run('searchPublicChat', { username: 'never' }, { timeout: 50 }), TimeoutError)
+    // The timeout of the client applies when the request has none.
+    const started = Date.now()
+    await assert.rejects(client.run('searchPublicChat', { username: 'never' }), TimeoutError)
+    assert.ok(Date.now() - started >= 900)
+    client.destroy()
+})
+
+test('run() rejects with AbortError when the signal is aborted', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    fake.handle('searchPublicChat', () => new Promise(() => {}))
+    const controller = abortController()
+    const request = client.run('searchPublicChat', { username: 'never' }, { signal: controller.signal })
+    controller.abort()
+    await assert.rejects(request, AbortError)
+    // An aborted signal rejects before the request is sent.
+    fake.clearRequests()
+    await assert.rejects(client.run('searchPublicChat', { username: 'never' }, { signal: controller.signal }), AbortError)
+    assert.strictEqual(fake.requests('searchPublicChat').length, 0)
+    client.destroy()
+})
+
+test('flood waits are retried within the retry policy', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { flood_wait_retry: { max_retries: 2, max_wait: 1, methods: { getChats: false } } })
+    fake.add(chat)
+    const flood_wait = FakeTDLib.error(429, 'Too Many Requests: retry after 0')
+    const waits = []
+    client.on('flood_wait', (event) => waits.push(event))
+
+    fake.handleOnce('searchPublicChat', flood_wait).handleOnce('searchPublicChat', flood_wait).handleOnce('searchPublicChat', chat)
+    assert.strictEqual((await client.run('searchPublicChat', { username: 'test' })).id, -100)
+    assert.deepStrictEqual(waits.map((event) => [event.method, event.retry_after, event.attempt]), [['searchPublicChat', 0, 1], ['searchPublicChat', 0, 2]])
+
+    // More flood waits than max_retries
+    fake.handleOnce('searchPublicChat', flood_wait).handleOnce('searchPublicChat', flood_wait).handleOnce('searchPublicChat', flood_wait)
+    await assert.rejects(client.run('searchPublicChat', { username: 'test' }), (e) => e.code === 429)
+    assert.strictEqual(waits.length, 4)
+
+    // Waits longer than max_wait and methods without retries are rejected right away.
+    fake.handleOnce('searchPublicChat', FakeTDLib.error(429, 'Too Many Requests: retry after 5'))
+    await assert.rejects(client.run('searchPublicChat', { username: 'test' }), (e) => e.code === 429)
+    fake.handleOnce('getChats', flood_wait)
+    await assert.rejects(client.run('getChats', { limit: 10 }), (e) => e.code === 429)
+    assert.strictEqual(waits.length, 4)
+    client.destroy()
+})
+
+test('flood waits are not retried without a retry policy', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    fake.handleOnce('searchPublicChat', FakeTDLib.error(429, 'Too Many Requests: retry after 0'))
+    await assert.rejects(client.run('searchPublicChat', { username: 'test' }), (e) => e.code === 429)
+    assert.strictEqual(fake.requests('searchPublicChat').length, 1)
+    client.destroy()
+})
+
+test('run() rejects with a typed error for TDLib errors', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    await assert.rejects(client.run('getChat', { chat_id: -404 }), (e) => e instanceof ChatNotFoundError && e.code === 400 && e.method === 'getChat')
+    fake.handleOnce('getChats', FakeTDLib.error(500, 'Internal error'))
+    await assert.rejects(client.run('getChats', { limit: 10 }), (e) => e instanceof TdError && !(e instanceof ChatNotFoundError) && e.code === 500)
+    client.destroy()
+})
+
+test('TDLib log options are applied before the client is created', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { tdlib_log_file: false, tdlib_log_verbosity: 1 })
+    const requests = fake.requests()
+    assert.deepStrictEqual(requests.slice(0, 2).map((request) => [request['@type'], request.log_stream || request.new_verbosity_level]), [
+        ['setLogStream', { '@type': 'logStreamEmpty' }],
+        ['setLogVerbosityLevel', 1]
+    ])
+    client.destroy()
+})
+
+test('invalid TDLib log options throw without creating a client', () => {
+    const fake = new FakeTDLib()
+    let created = 0
+    fake.td_client_create = () => ++created
+    fake.handleOnce('setLogVerbosityLevel', FakeTDLib.error(400, 'Wrong new verbosity level specified'))
+    assert.throws(() => new TdClientActor(clientOptions(fake, { tdlib_log_verbosity: -1 })), TdError)
+    assert.strictEqual(created, 0)
+})
+
+test('close() waits for TDLib to close and rejects the pending requests', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { polling_mode: 'async' })
+    fake.handle('searchPublicChat', () => new Promise(() => {}))
+    const pending = client.run('searchPublicChat', { username: 'never' })
+    const closing = client.close()
+    assert.strictEqual(client.close(), closing)
+    await closing
+    assert.strictEqual(fake.requests('close').length, 1)
+    await assert.rejects(pending, ClientClosedError)
+    await assert.rejects(client.run('getMe'), ClientClosedError)
+    await assert.rejects(client.close(), ClientClosedError)
+})
+
+test('logOut() deletes the database directory without reporting a revoked session', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const database_directory = path.join(client._options.database_directory, 'test')
+    fs.mkdirSync(path.join(database_directory, 'db'), { recursive: true })
+    fs.writeFileSync(path.join(database_directory, 'db', 'td.binlog'), '')
+    // TDLib announces the logout before it answers the request.
+    fake.handleOnce('logOut', (request, client_id) => {
+        fake.setAuthorizationState(client_id, 'authorizationStateLoggingOut')
+        fake.setAuthorizationState(client_id, 'authorizationStateClosed')
+        return { '@type': 'ok' }
+    })
+    let revoked = false
+    client.on('session_revoked', () => revoked = true)
+    await client.logOut()
+    assert.strictEqual(revoked, false)
+    assert.strictEqual(fs.existsSync(database_directory), false)
+})
+
+test('a logout by the server after a rejected logOut is reported as session_revoked', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    let revoked = false
+    client.on('session_revoked', () => revoked = true)
+    fake.handleOnce('logOut', FakeTDLib.error(500, 'Request aborted'))
+    await assert.rejects(client.run('logOut'), TdError)
+    fake.setAuthorizationState(1, 'authorizationStateLoggingOut')
+    await sleep()
+    assert.strictEqual(revoked, true)
+    client.destroy()
+})
+
+test('the last update is tracked even when its listener throws', async () => {
+    const fake = new FakeTDLib()
+    const entries = []
+    const logger = { debug() {}, info: (message, fields) => entries.push(fields), warn() {}, error() {} }
+    const client = await readyClient(fake, { logger })
+    client.on('__updateOption', () => {
+        throw new Error('boom')
+    })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'version', value: { '@type': 'optionValueString', value: '1.6.0' } })
+    await sleep()
+    client._reportLastUpdate()
+    assert.strictEqual(entries[entries.length - 1].update.name, 'version')
+    client.destroy()
+})
+
+test('push mode receives updates and responses', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { polling_mode: 'push', push_batch_size: 2 })
+    const options = []
+    client.on('__updateOption', (update) => options.push(update.name))
+    for (let i = 0; i < 5; i++) fake.pushUpdate({ '@type': 'updateOption', name: `option${i}`, value: { '@type': 'optionValueEmpty' } })
+    fake.add(chat)
+    assert.strictEqual((await client.run('getChat', { chat_id: -100 })).title, 'Test')
+    assert.deepStrictEqual(options, ['option0', 'option1', 'option2', 'option3', 'option4'])
+    await client.close()
+})
@@ -0,0 +1,49 @@
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { test, FakeTDLib, readyClient, tempDirectory, sleep } = require('./support')
+
+const chat = {
+    '@type': 'chat',
+    id: -100,
+    title: 'Recorded',
+    type: { '@type': 'chatTypeBasicGroup', basic_group_id: 100 },
+    order: '0'
+}
+
+/**
+ * Record a session which logs in and requests a chat.
+ * @returns {Promise<string>} Path of the recording.
+ */
+async function record() {
+    const file = path.join(tempDirectory(), 'session.ndjson')
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { record: file, use_cache: false })
+    fake.add(chat)
+    await sleep()
+    await client.run('getChat', { chat_id: -100 })
+    await client.close()
+    return file
+}
+
+test('record writes the traffic with credentials redacted', async () => {
+    const entries = fs.readFileSync(await record(), 'utf8').trim().split('\n').map((line) => JSON.parse(line))
+    const directions = new Set(entries.map((entry) => entry.direction))
+    assert.ok(directions.has('send') && directions.has('receive'))
+    const response = entries.find((entry) => entry.direction === 'receive' && entry.data['@type'] === 'chat' && entry.data['@extra'])
+    assert.strictEqual(response.data.title, 'Recorded')
+    const phone = entries.find((entry) => entry.data['@type'] === 'setAuthenticationPhoneNumber')
+    assert.strictEqual(phone.data.phone_number, '[REDACTED]')
+    assert.strictEqual(JSON.stringify(entries).indexOf('+15550000000'), -1)
+})
+
+test('replay answers the client from the recording without TDLib', async () => {
+    const file = await record()
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake, { replay: file, use_cache: false })
+    assert.strictEqual((await client.run('getChat', { chat_id: -100 })).title, 'Recorded')
+    // Requests which weren't recorded fail.
+    await assert.rejects(client.run('getMe'), (e) => e.code === 404)
+    assert.deepStrictEqual(fake.requests('getChat'), [])
+    await client.close()
+})
@@ -0,0 +1,77 @@
+const assert = require('assert')
+const { UpdateDispatcher } = require('../update_dispatcher')
+const { test, FakeTDLib, readyClient, sleep } = require('./support')
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} }
+
+test('wildcards match any part of the update type', () => {
+    const dispatcher = new UpdateDispatcher(silent)
+    const calls = []
+    dispatcher.add('*', (update) => calls.push(`all ${update['@type']}`))
+    dispatcher.add('updateChat*', (update) => calls.push(`chat ${update['@type']}`))
+    dispatcher.add('update*Message', (update) => calls.push(`message ${update['@type']}`))
+    dispatcher.add('updateNewMessage', (update) => calls.push(`exact ${update['@type']}`))
+    dispatcher.dispatch({ '@type': 'updateChatTitle' })
+    dispatcher.dispatch({ '@type': 'updateNewMessage' })
+    assert.deepStrictEqual(calls, [
+        'all updateChatTitle',
+        'chat updateChatTitle',
+        'exact updateNewMessage',
+        'all updateNewMessage',
+        'message updateNewMessage'
+    ])
+    assert.strictEqual(dispatcher.hasWildcards(), true)
+    assert.deepStrictEqual(dispatcher.types(), ['updateNewMessage'])
+})
+
+test('handlers are called only for updates passing their filter', () => {
+    const dispatcher = new UpdateDispatcher(silent)
+    const texts = []
+    dispatcher.add('updateNewMessage', (update) => texts.push(update.text), { filter: (update) => !update.is_outgoing })
+    dispatcher.dispatch({ '@type': 'updateNewMessage', text: 'in', is_outgoing: false })
+    dispatcher.dispatch({ '@type': 'updateNewMessage', text: 'out', is_outgoing: true })
+    assert.deepStrictEqual(texts, ['in'])
+})
+
+test('remove() only removes the handler from the type it was added with', () => {
+    const dispatcher = new UpdateDispatcher(silent)
+    const handler = () => {}
+    dispatcher.add('updateChat*', handler)
+    assert.strictEqual(dispatcher.remove('updateChatTitle', handler), false)
+    assert.strictEqual(dispatcher.remove('updateChat*', handler), true)
+    assert.strictEqual(dispatcher.has('updateChat*'), false)
+    assert.strictEqual(dispatcher.hasWildcards(), false)
+})
+
+test('a failing handler is logged and the other handlers still run', async () => {
+    const errors = []
+    const dispatcher = new UpdateDispatcher(Object.assign({}, silent, { error: (message, fields) => errors.push(fields) }))
+    let called = false
+    dispatcher.add('updateOption', () => {
+        throw new Error('sync')
+    })
+    dispatcher.add('updateOption', async () => {
+        throw new Error('async')
+    })
+    dispatcher.add('update*', () => called = true)
+    dispatcher.dispatch({ '@type': 'updateOption' })
+    await sleep(5)
+    assert.strictEqual(called, true)
+    assert.deepStrictEqual(errors.map((fields) => [fields.update_type, fields.error.message]), [['updateOption', 'sync'], ['updateOption', 'async']])
+})
+
+test('onUpdate() receives the updates of the client until offUpdate()', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const names = []
+    const handler = (update) => names.push(update.name)
+    client.onUpdate('updateOpt*', handler, { filter: (update) => update.name !== 'hidden' })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'shown', value: { '@type': 'optionValueEmpty' } })
+    fake.pushUpdate({ '@type': 'updateOption', name: 'hidden', value: { '@type': 'optionValueEmpty' } })
+    await sleep()
+    client.offUpdate('updateOpt*', handler)
+    fake.pushUpdate({ '@type': 'updateOption', name: 'after', value: { '@type': 'optionValueEmpty' } })
+    await sleep()
+    assert.deepStrictEqual(names, ['shown'])
+    client.destroy()
+})
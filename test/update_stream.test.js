@@ -0,0 +1,73 @@
+const assert = require('assert')
+const { UpdateStream } = require('../update_stream')
+const { BufferOverflowError } = require('../errors')
+const { test, FakeTDLib, readyClient, abortController, sleep } = require('./support')
+
+/**
+ * @param {number} i
+ */
+function option(i) {
+    return { '@type': 'updateOption', name: `option${i}`, value: { '@type': 'optionValueInteger', value: i } }
+}
+
+test('updates() yields the updates of the given types which pass the filter', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const stream = client.updates({ types: ['updateOption'], filter: (update) => update.value.value % 2 === 0 })
+    const first = stream.next()
+    fake.pushUpdate({ '@type': 'updateConnectionState', state: { '@type': 'connectionStateReady' } })
+    for (let i = 0; i < 5; i++) fake.pushUpdate(option(i))
+    assert.strictEqual((await first).value.name, 'option0')
+    assert.strictEqual((await stream.next()).value.name, 'option2')
+    // return() is what `break` out of `for await` calls, it unsubscribes the stream.
+    assert.deepStrictEqual(await stream.return(), { value: undefined, done: true })
+    assert.strictEqual(client.listenerCount('__updateOption'), 0)
+    client.destroy()
+})
+
+test('updates() ends when the signal is aborted or the client is closed', async () => {
+    const fake = new FakeTDLib()
+    const client = await readyClient(fake)
+    const controller = abortController()
+    const aborted = client.updates({ signal: controller.signal })
+    const closed = client.updates()
+    controller.abort()
+    assert.deepStrictEqual(await aborted.next(), { value: undefined, done: true })
+    await client.close()
+    const received = []
+    for (let result = await closed.next(); !result.done; result = await closed.next()) received.push(result.value['@type'])
+    assert.ok(received.indexOf('updateAuthorizationState') > -1)
+})
+
+test('a full buffer drops the oldest updates by default', async () => {
+    const stream = new UpdateStream({ buffer_size: 2 }, () => {})
+    for (let i = 0; i < 4; i++) stream.push(option(i))
+    assert.strictEqual(stream.dropped, 2)
+    assert.strictEqual((await stream.next()).value.name, 'option2')
+})
+
+test('a full buffer drops the newest updates or fails as configured', async () => {
+    const newest = new UpdateStream({ buffer_size: 2, overflow: 'drop_newest' }, () => {})
+    for (let i = 0; i < 4; i++) newest.push(option(i))
+    assert.strictEqual((await newest.next()).value.name, 'option0')
+    assert.strictEqual(newest.dropped, 2)
+
+    let unsubscribed = false
+    const failing = new UpdateStream({ buffer_size: 1, overflow: 'error' }, () => unsubscribed = true)
+    failing.push(option(0))
+    failing.push(option(1))
+    assert.strictEqual(unsubscribed, true)
+    assert.strictEqual((await failing.next()).value.name, 'option0')
+    await assert.rejects(failing.next(), BufferOverflowError)
+    assert.deepStrictEqual(await failing.next(), { value: undefined, done: true })
+    assert.throws(() => new UpdateStream({ overflow: 'block' }, () => {}), /unknown overflow policy/)
+})
+
+test('a consumer waiting for an update gets it without buffering', async () => {
+    const stream = new UpdateStream({ buffer_size: 0 }, () => {})
+    const next = stream.next()
+    await sleep(5)
+    stream.push(option(0))
+    assert.strictEqual((await next).value.name, 'option0')
+    assert.strictEqual(stream.dropped, 0)
+})
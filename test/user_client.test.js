@@ -0,0 +1,139 @@
+const assert = require('assert')
+const { UserClient } = require('../index')
+const { AuthCallbackError } = require('../errors')
+const { test, FakeTDLib, clientOptions, once } = require('./support')
+
+test('user logs in with phone number and code', async () => {
+    const fake = new FakeTDLib()
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => '+15550000000',
+        getCode: (code_info) => {
+            assert.strictEqual(code_info.phone_number, '+15550000000')
+            return '12345'
+        }
+    }))
+    await once(client, 'ready')
+    assert.strictEqual(client.ready, true)
+    assert.deepStrictEqual(fake.requests().slice(0, 4).map((request) => request['@type']), [
+        'setTdlibParameters',
+        'checkDatabaseEncryptionKey',
+        'setAuthenticationPhoneNumber',
+        'checkAuthenticationCode'
+    ])
+    client.destroy()
+})
+
+test('user is asked again for a rejected code', async () => {
+    const fake = new FakeTDLib()
+    const errors = []
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => '+15550000000',
+        getCode: (code_info, error) => {
+            errors.push(error)
+            return error ? '12345' : '00000'
+        }
+    }))
+    await once(client, 'ready')
+    assert.strictEqual(errors.length, 2)
+    assert.strictEqual(errors[0], undefined)
+    assert.strictEqual(errors[1].code, 400)
+    assert.strictEqual(errors[1].message, 'PHONE_CODE_INVALID')
+    client.destroy()
+})
+
+test('errors other than invalid input are emitted as auth_error', async () => {
+    const fake = new FakeTDLib()
+    fake.handleOnce('setAuthenticationPhoneNumber', FakeTDLib.error(400, 'PHONE_NUMBER_BANNED'))
+    let asked = 0
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => {
+            asked++
+            return '+15550000000'
+        },
+        getCode: () => '12345'
+    }))
+    const error = await once(client, 'auth_error')
+    assert.strictEqual(error.message, 'PHONE_NUMBER_BANNED')
+    assert.strictEqual(asked, 1)
+    client.destroy()
+})
+
+test('a step is not retried after the authorization state moved on', async () => {
+    const fake = new FakeTDLib()
+    fake.handleOnce('checkAuthenticationCode', (request, client_id) => {
+        // The code expired, TDLib asks for the phone number again before it answers.
+        fake.setAuthorizationState(client_id, 'authorizationStateWaitPhoneNumber')
+        return FakeTDLib.error(400, 'PHONE_CODE_EXPIRED')
+    })
+    let phone_numbers = 0
+    let codes = 0
+    let auth_error = null
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => {
+            phone_numbers++
+            return '+15550000000'
+        },
+        getCode: () => {
+            codes++
+            return '12345'
+        }
+    }))
+    client.on('auth_error', (e) => auth_error = e)
+    await once(client, 'ready')
+    assert.strictEqual(phone_numbers, 2)
+    assert.strictEqual(codes, 2)
+    assert.strictEqual(auth_error, null)
+    client.destroy()
+})
+
+test('user logs in with a 2-step verification password', async () => {
+    const fake = new FakeTDLib({ password: 'secret' })
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => '+15550000000',
+        getCode: () => '12345',
+        getPassword: () => 'secret'
+    }))
+    await once(client, 'ready')
+    assert.strictEqual(fake.requests('checkAuthenticationPassword')[0].password, 'secret')
+    client.destroy()
+})
+
+test('auth_error is emitted when a password is needed but getPassword is missing', async () => {
+    const fake = new FakeTDLib({ password: 'secret' })
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => '+15550000000',
+        getCode: () => '12345'
+    }))
+    const error = await once(client, 'auth_error')
+    assert.ok(error instanceof AuthCallbackError)
+    assert.strictEqual(error.callback, 'getPassword')
+    client.destroy()
+})
+
+test('a missing getPhoneNumber or getCode throws AuthCallbackError', () => {
+    assert.throws(() => new UserClient({ api_id: 1, api_hash: 'hash', getCode: () => '12345' }), (e) => e instanceof AuthCallbackError && e.callback === 'getPhoneNumber')
+    assert.throws(() => new UserClient({ api_id: 1, api_hash: 'hash', getPhoneNumber: () => '+15550000000' }), (e) => e instanceof AuthCallbackError && e.callback === 'getCode')
+})
+
+test('new user is registered with the name from getName', async () => {
+    const fake = new FakeTDLib({ registered: false })
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => '+15550000000',
+        getCode: () => '12345',
+        getName: () => ({ first_name: 'Alice' })
+    }))
+    await once(client, 'ready')
+    assert.strictEqual((await client.run('getMe')).first_name, 'Alice')
+    client.destroy()
+})
+
+test('authorized client is ready without logging in', async () => {
+    const fake = new FakeTDLib({ authorized: true })
+    const client = new UserClient(clientOptions(fake, {
+        getPhoneNumber: () => assert.fail('asked for the phone number'),
+        getCode: () => assert.fail('asked for the code')
+    }))
+    await once(client, 'ready')
+    assert.strictEqual(fake.requests('setAuthenticationPhoneNumber').length, 0)
+    client.destroy()
+})
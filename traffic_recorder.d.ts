@@ -0,0 +1,28 @@
+declare export interface RecordOptions {
+    /** NDJSON file the traffic is appended to. */
+    path: string;
+    /** Keys to redact in addition to the default ones. */
+    redact?: string[];
+}
+
+declare export interface TrafficEntry {
+    /** Timestamp in milliseconds. */
+    time: number;
+    /** Requests are `send`, updates and responses `receive`, synchronous requests `execute`. */
+    direction: "send" | "receive" | "execute";
+    /** The request, update or response. */
+    data: any;
+    /** Result of an `execute` request. */
+    result?: any;
+}
+
+/** Writes the JSON exchanged with TDLib as one line per entry, with secrets redacted. */
+declare export class TrafficRecorder {
+    constructor(options: RecordOptions);
+    record(direction: "send" | "receive", data: object): void;
+    recordExecute(request: object, result: object): void;
+    /** Flush and close the file. */
+    close(): Promise<void>;
+}
+
+export as namespace TrafficRecorder;
@@ -0,0 +1,100 @@
+const fs = require('fs')
+
+/**
+ * @typedef RecordOptions
+ * @property {string} path NDJSON file the traffic is appended to.
+ * @property {string[]} [redact] Keys to redact in addition to the default ones.
+ */
+
+/**
+ * @typedef TrafficEntry
+ * @property {number} time Timestamp in milliseconds.
+ * @property {"send"|"receive"|"execute"} direction Requests are `send`, updates and responses `receive`, synchronous requests `execute`.
+ * @property {object} data The request, update or response.
+ * @property {object} [result] Result of an `execute` request.
+ */
+
+// Credentials, authentication codes and phone numbers.
+const default_redact_keys = [
+    'api_hash',
+    'token',
+    'encryption_key',
+    'new_encryption_key',
+    'database_encryption_key',
+    'phone_number',
+    'code',
+    'password',
+    'old_password',
+    'new_password',
+    'recovery_code'
+]
+
+const redacted = '[REDACTED]'
+
+/**
+ * Writes the JSON exchanged with TDLib as one line per entry, with secrets redacted.
+ */
+class TrafficRecorder {
+    /**
+     * @param {RecordOptions} options
+     */
+    constructor(options) {
+        this._keys = new Set(default_redact_keys.concat(options.redact || []))
+        this._stream = fs.createWriteStream(options.path, { flags: 'a' })
+        this._stream.on('error', (e) => this._error = e)
+        this._error = null
+    }
+
+    /**
+     * @param {"send"|"receive"} direction
+     * @param {object} data
+     */
+    record(direction, data) {
+        this._write({ time: Date.now(), direction, data: this._redact(data) })
+    }
+
+    /**
+     * @param {object} request
+     * @param {object} result
+     */
+    recordExecute(request, result) {
+        this._write({ time: Date.now(), direction: 'execute', data: this._redact(request), result: this._redact(result) })
+    }
+
+    /**
+     * Flush and close the file.
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((rs, rj) => this._stream.end(() => this._error ? rj(this._error) : rs()))
+    }
+
+    /**
+     * @private
+     * @param {TrafficEntry} entry
+     */
+    _write(entry) {
+        if (this._error) return
+        this._stream.write(`${JSON.stringify(entry)}\n`)
+    }
+
+    /**
+     * Copy of the value with the values of redacted keys replaced.
+     * Only strings are redacted, so that e.g. the numeric code of an error is kept.
+     * @private
+     * @param {any} value
+     * @returns {any}
+     */
+    _redact(value) {
+        if (Array.isArray(value)) return value.map((item) => this._redact(item))
+        if (!value || typeof value !== 'object') return value
+        const copy = {}
+        for (const key of Object.keys(value)) {
+            const field = value[key]
+            copy[key] = this._keys.has(key) && typeof field === 'string' && field !== '' ? redacted : this._redact(field)
+        }
+        return copy
+    }
+}
+
+exports.TrafficRecorder = TrafficRecorder
@@ -0,0 +1,26 @@
+import { TdClientActor } from "./td_client_actor";
+
+declare export interface ReplayOptions {
+    /** NDJSON file written by the record option. */
+    path: string;
+    /** Multiple of the recorded pace, e.g. 2 for twice as fast. 0 replays without delays. Defaults to 0. */
+    speed?: number;
+    /** Milliseconds to wait for the client to send a recorded request before the replay goes on without it. Defaults to 1000. */
+    send_timeout?: number;
+}
+
+/**
+ * Plays a recording back to a client in place of TDLib.
+ * A request of the client is matched to the first recorded request of the same type which isn't matched yet.
+ */
+declare export class TrafficReplayer {
+    constructor(client: TdClientActor, options: ReplayOptions);
+    /** Replay the updates. Resolves at the end of the recording. */
+    start(): Promise<void>;
+    send(request: object): void;
+    execute(request: object): object;
+    /** Stop replaying. */
+    stop(): void;
+}
+
+export as namespace TrafficReplayer;
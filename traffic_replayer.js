@@ -0,0 +1,172 @@
+const fs = require('fs')
+
+/**
+ * @typedef ReplayOptions
+ * @property {string} path NDJSON file written by the record option.
+ * @property {number} [speed] Multiple of the recorded pace, e.g. 2 for twice as fast. 0 replays without delays. Defaults to 0.
+ * @property {number} [send_timeout] Milliseconds to wait for the client to send a recorded request before the replay goes on without it. Defaults to 1000.
+ */
+
+/**
+ * @typedef ReplayEntry
+ * @property {number} time
+ * @property {"send"|"receive"|"execute"} direction
+ * @property {object} data
+ * @property {object} [result]
+ * @property {boolean} consumed Whether a request of the client was matched to it.
+ */
+
+/**
+ * Plays a recording back to a client in place of TDLib.
+ * Updates are passed to the client in recorded order. A request of the client is matched to the first recorded
+ * request of the same type which isn't matched yet, and answered with the recorded response.
+ * When the replay reaches a recorded request, it waits for the client to send it first.
+ */
+class TrafficReplayer {
+    /**
+     * @param {import('./td_client_actor').TdClientActor} client
+     * @param {ReplayOptions} options
+     */
+    constructor(client, options) {
+        this._client = client
+        this._speed = options.speed || 0
+        this._send_timeout = 'send_timeout' in options ? options.send_timeout : 1000
+        /** @type {ReplayEntry[]} */
+        this._entries = fs.readFileSync(options.path, 'utf8').split('\n').filter((line) => line.trim() !== '').map((line) => {
+            const entry = JSON.parse(line)
+            entry.consumed = false
+            return entry
+        })
+        /** Index of the recorded response of every recorded request, by its `@extra`. @type {Map<any, number>} */
+        this._responses = new Map()
+        this._entries.forEach((entry, index) => {
+            if (entry.direction === 'receive' && entry.data['@extra'] !== undefined) this._responses.set(entry.data['@extra'], index)
+        })
+        /** `@extra` of the client's request matched to a recorded request, by the recorded `@extra`. @type {Map<any, any>} */
+        this._extras = new Map()
+        this._position = -1
+        this._waiting = null
+        this._stopped = false
+    }
+
+    /**
+     * Replay the updates.
+     * @returns {Promise<void>} Resolves at the end of the recording.
+     */
+    async start() {
+        for (let index = 0; index < this._entries.length && !this._stopped; index++) {
+            const entry = this._entries[index]
+            const previous = this._entries[this._position]
+            const delay = this._speed > 0 && previous ? (entry.time - previous.time) / this._speed : 0
+            // Give the client a turn to react to the previous entry, like a real receive loop would.
+            await new Promise((rs) => delay > 0 ? setTimeout(rs, delay) : setImmediate(rs))
+            if (this._stopped) return
+            this._position = index
+            if (entry.direction === 'send') {
+                if (!entry.consumed) await this._waitForRequest(entry)
+            } else if (entry.direction === 'receive') {
+                this._deliver(entry.data)
+            }
+        }
+    }
+
+    /**
+     * Answer a request of the client.
+     * @param {object} request
+     */
+    send(request) {
+        const type = request['@type']
+        const entry = this._entries.find((entry) => entry.direction === 'send' && !entry.consumed && entry.data['@type'] === type)
+        if (!entry) {
+            setImmediate(() => this._answerUnrecorded(request))
+            return
+        }
+        entry.consumed = true
+        const recorded_extra = entry.data['@extra']
+        this._extras.set(recorded_extra, request['@extra'])
+        if (this._waiting && this._waiting.entry === entry) this._waiting.resolve()
+        // The replay may have passed the response already, e.g. when the client sent the request late.
+        const response = this._responses.get(recorded_extra)
+        if (response !== undefined && response <= this._position) {
+            setImmediate(() => this._deliver(this._entries[response].data))
+        }
+    }
+
+    /**
+     * Answer a synchronous request of the client.
+     * @param {object} request
+     * @returns {object}
+     */
+    execute(request) {
+        const entry = this._entries.find((entry) => entry.direction === 'execute' && !entry.consumed && entry.data['@type'] === request['@type'])
+        if (!entry) return { '@type': 'error', code: 404, message: 'Request not found in the recording' }
+        entry.consumed = true
+        return entry.result
+    }
+
+    /**
+     * Stop replaying.
+     */
+    stop() {
+        this._stopped = true
+        if (this._waiting) this._waiting.resolve()
+    }
+
+    /**
+     * @private
+     * @param {ReplayEntry} entry
+     */
+    _waitForRequest(entry) {
+        return new Promise((rs) => {
+            const timer = setTimeout(() => {
+                this._client._logger.debug('Replay went on without a recorded request', { method: entry.data['@type'] })
+                resolve()
+            }, this._send_timeout)
+            const resolve = () => {
+                clearTimeout(timer)
+                this._waiting = null
+                rs()
+            }
+            this._waiting = { entry, resolve }
+        })
+    }
+
+    /**
+     * Pass a recorded update or response to the client.
+     * @private
+     * @param {object} update
+     */
+    _deliver(update) {
+        if (this._stopped) return
+        if (update['@extra'] !== undefined) {
+            // Responses go to the matched request of the client, or nowhere if it wasn't sent.
+            if (!this._extras.has(update['@extra'])) return
+            update = Object.assign({}, update, { '@extra': this._extras.get(update['@extra']) })
+        }
+        try {
+            this._client._processUpdate(JSON.stringify(update))
+        } catch (e) {
+            this._client._logger.error('Failed to process update', { error: e })
+        }
+    }
+
+    /**
+     * Answer a request missing from the recording with an error.
+     * Closing always succeeds, so that a client can be closed after the end of its recording.
+     * @private
+     * @param {object} request
+     */
+    _answerUnrecorded(request) {
+        if (request['@type'] === 'close' || request['@type'] === 'logOut') {
+            this._client._processUpdate(JSON.stringify({ '@type': 'ok', '@extra': request['@extra'] }))
+            this._client._processUpdate(JSON.stringify({
+                '@type': 'updateAuthorizationState',
+                authorization_state: { '@type': 'authorizationStateClosed' }
+            }))
+            return
+        }
+        this._client._processUpdate(JSON.stringify({ '@type': 'error', code: 404, message: 'Request not found in the recording', '@extra': request['@extra'] }))
+    }
+}
+
+exports.TrafficReplayer = TrafficReplayer
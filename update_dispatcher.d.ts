@@ -0,0 +1,37 @@
+import * as TdTypes from "./td_types";
+import { Logger } from "./logger";
+
+/** Name of an update type, like `updateNewMessage`. */
+declare export type UpdateType = TdTypes.Update['_'];
+
+/** Shape of the update with the given type. */
+declare export type UpdateOf<K extends UpdateType> = Extract<TdTypes.Update, { _: K }>;
+
+declare export interface OnUpdateOptions<T = TdTypes.Update> {
+    /** The handler is only called for updates for which it returns true. */
+    filter?: (update: T) => boolean;
+}
+
+/**
+ * Routes updates to the handlers subscribed through onUpdate().
+ * Types may contain `*` as a wildcard, e.g. `*` or `updateChat*`.
+ * A throwing handler is logged and doesn't affect the other handlers.
+ */
+declare export class UpdateDispatcher {
+    constructor(logger: Logger);
+    /** Whether the type contains a wildcard. */
+    static isWildcard(type: string): boolean;
+    add(type: string, handler: (update: TdTypes.Update) => any, options?: OnUpdateOptions): void;
+    /** Remove a handler added with the same type. Returns whether the handler was found. */
+    remove(type: string, handler: (update: TdTypes.Update) => any): boolean;
+    /** Whether a handler is subscribed with exactly this type. */
+    has(type: string): boolean;
+    /** Whether any handler uses a wildcard. */
+    hasWildcards(): boolean;
+    /** Update types with handlers, not counting wildcards. */
+    types(): string[];
+    /** Call the handlers matching the update. */
+    dispatch(update: TdTypes.Update): void;
+}
+
+export as namespace UpdateDispatcher;
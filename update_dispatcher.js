@@ -0,0 +1,136 @@
+/**
+ * @typedef OnUpdateOptions
+ * @property {(update: object) => boolean} [filter] The handler is only called for updates for which it returns true.
+ */
+
+/**
+ * @typedef UpdateHandlerEntry
+ * @property {(update: object) => any} handler
+ * @property {((update: object) => boolean)|null} filter
+ */
+
+/**
+ * Routes updates to the handlers subscribed through onUpdate().
+ * Types may contain `*` as a wildcard, e.g. `*` or `updateChat*`.
+ * A throwing handler is logged and doesn't affect the other handlers.
+ */
+class UpdateDispatcher {
+    /**
+     * @param {import('./logger').Logger} logger
+     */
+    constructor(logger) {
+        this._logger = logger
+        /** @type {Map<string, UpdateHandlerEntry[]>} */
+        this._exact = new Map()
+        /** @type {Map<string, {pattern: RegExp, entries: UpdateHandlerEntry[]}>} */
+        this._wildcards = new Map()
+    }
+
+    /**
+     * Whether the type contains a wildcard.
+     * @param {string} type
+     */
+    static isWildcard(type) {
+        return type.indexOf('*') > -1
+    }
+
+    /**
+     * @param {string} type Update type, may contain `*`.
+     * @param {(update: object) => any} handler
+     * @param {OnUpdateOptions} [options]
+     */
+    add(type, handler, options = {}) {
+        if (typeof handler !== 'function') throw new TypeError('handler must be a function')
+        const entry = { handler, filter: options.filter || null }
+        if (UpdateDispatcher.isWildcard(type)) {
+            let wildcard = this._wildcards.get(type)
+            if (!wildcard) {
+                const source = type.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+                wildcard = { pattern: new RegExp(`^${source}$`), entries: [] }
+                this._wildcards.set(type, wildcard)
+            }
+            wildcard.entries.push(entry)
+        } else {
+            if (!this._exact.has(type)) this._exact.set(type, [])
+            this._exact.get(type).push(entry)
+        }
+    }
+
+    /**
+     * Remove a handler added with the same type.
+     * @param {string} type
+     * @param {(update: object) => any} handler
+     * @returns {boolean} Whether the handler was found.
+     */
+    remove(type, handler) {
+        const wildcard = UpdateDispatcher.isWildcard(type)
+        const entries = wildcard ? this._wildcards.has(type) && this._wildcards.get(type).entries : this._exact.get(type)
+        if (!entries) return false
+        const index = entries.findIndex((entry) => entry.handler === handler)
+        if (index === -1) return false
+        entries.splice(index, 1)
+        if (entries.length === 0) {
+            if (wildcard) this._wildcards.delete(type)
+            else this._exact.delete(type)
+        }
+        return true
+    }
+
+    /**
+     * Whether a handler is subscribed with exactly this type.
+     * @param {string} type
+     */
+    has(type) {
+        return UpdateDispatcher.isWildcard(type) ? this._wildcards.has(type) : this._exact.has(type)
+    }
+
+    /**
+     * Whether any handler uses a wildcard.
+     */
+    hasWildcards() {
+        return this._wildcards.size > 0
+    }
+
+    /**
+     * Update types with handlers, not counting wildcards.
+     * @returns {string[]}
+     */
+    types() {
+        return Array.from(this._exact.keys())
+    }
+
+    /**
+     * Call the handlers matching the update.
+     * @param {object} update
+     */
+    dispatch(update) {
+        const type = update['@type']
+        const exact = this._exact.get(type)
+        // Copy, so that handlers may unsubscribe while being called.
+        if (exact) this._call(exact.slice(), update)
+        for (const wildcard of this._wildcards.values()) {
+            if (wildcard.pattern.test(type)) this._call(wildcard.entries.slice(), update)
+        }
+    }
+
+    /**
+     * @private
+     * @param {UpdateHandlerEntry[]} entries
+     * @param {object} update
+     */
+    _call(entries, update) {
+        for (const entry of entries) {
+            try {
+                if (entry.filter && !entry.filter(update)) continue
+                const result = entry.handler(update)
+                if (result && typeof result.catch === 'function') {
+                    result.catch((e) => this._logger.error('Update handler failed', { update_type: update['@type'], error: e }))
+                }
+            } catch (e) {
+                this._logger.error('Update handler failed', { update_type: update['@type'], error: e })
+            }
+        }
+    }
+}
+
+exports.UpdateDispatcher = UpdateDispatcher
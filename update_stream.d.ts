@@ -0,0 +1,36 @@
+import * as TdTypes from "./td_types";
+
+declare export interface UpdateStreamOptions {
+    /** Update types to receive, e.g. `['updateNewMessage']`. All updates if not set. */
+    types?: string[];
+    /** Only updates for which it returns true are buffered. */
+    filter?: (update: TdTypes.Update) => boolean;
+    /** Ends the iteration when aborted. */
+    signal?: AbortSignal;
+    /** Maximum number of updates waiting to be consumed. Defaults to 100. */
+    buffer_size?: number;
+    /** What to do with an update arriving to a full buffer. Defaults to drop_oldest. `error` ends the iteration with BufferOverflowError. */
+    overflow?: 'drop_oldest' | 'drop_newest' | 'error';
+}
+
+/**
+ * Async iterator over updates, fed by the client.
+ * Updates are buffered until consumed; TDLib can't be paused, so a full buffer is handled by the overflow policy.
+ */
+declare export class UpdateStream implements AsyncIterableIterator<TdTypes.Update> {
+    constructor(options: UpdateStreamOptions, unsubscribe: () => void);
+    /** Number of updates dropped because the buffer was full. */
+    dropped: number;
+    /** Offer an update to the stream. */
+    push(update: TdTypes.Update): void;
+    /** End the stream. Buffered updates are still delivered. */
+    end(): void;
+    /** End the stream with an error, thrown to the consumer after the buffered updates. */
+    fail(error: Error): void;
+    next(): Promise<IteratorResult<TdTypes.Update>>;
+    /** Stop consuming, e.g. on `break` out of `for await`. Buffered updates are discarded. */
+    return(): Promise<IteratorResult<TdTypes.Update>>;
+    [Symbol.asyncIterator](): this;
+}
+
+export as namespace UpdateStream;
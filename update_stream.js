@@ -0,0 +1,123 @@
+const { BufferOverflowError } = require('./errors')
+
+/**
+ * @typedef UpdateStreamOptions
+ * @property {string[]} [types] Update types to receive, e.g. `['updateNewMessage']`. All updates if not set.
+ * @property {(update: object) => boolean} [filter] Only updates for which it returns true are buffered.
+ * @property {AbortSignal} [signal] Ends the iteration when aborted.
+ * @property {number} [buffer_size] Maximum number of updates waiting to be consumed. Defaults to 100.
+ * @property {"drop_oldest"|"drop_newest"|"error"} [overflow] What to do with an update arriving to a full buffer. Defaults to drop_oldest.
+ */
+
+const overflow_policies = ['drop_oldest', 'drop_newest', 'error']
+
+/**
+ * Async iterator over updates, fed by the client.
+ * Updates are buffered until consumed; TDLib can't be paused, so a full buffer is handled by the overflow policy.
+ */
+class UpdateStream {
+    /**
+     * @param {UpdateStreamOptions} options
+     * @param {() => void} unsubscribe Called once when the stream ends.
+     */
+    constructor(options, unsubscribe) {
+        this._filter = options.filter || null
+        this._buffer_size = 'buffer_size' in options ? options.buffer_size : 100
+        this._overflow = options.overflow || 'drop_oldest'
+        if (overflow_policies.indexOf(this._overflow) === -1) throw new Error(`unknown overflow policy: ${this._overflow}`)
+        this._unsubscribe = unsubscribe
+        /** @type {object[]} */
+        this._buffer = []
+        this._waiting = null
+        this._error = null
+        this._done = false
+        /** Number of updates dropped because the buffer was full. */
+        this.dropped = 0
+    }
+
+    /**
+     * Offer an update to the stream.
+     * @param {object} update
+     */
+    push(update) {
+        if (this._done) return
+        try {
+            if (this._filter && !this._filter(update)) return
+        } catch (e) {
+            return this.fail(e)
+        }
+        if (this._waiting) {
+            const { rs } = this._waiting
+            this._waiting = null
+            return rs({ value: update, done: false })
+        }
+        if (this._buffer.length >= this._buffer_size) {
+            this.dropped++
+            if (this._overflow === 'drop_newest') return
+            if (this._overflow === 'error') return this.fail(new BufferOverflowError(this._buffer_size))
+            this._buffer.shift()
+        }
+        this._buffer.push(update)
+    }
+
+    /**
+     * End the stream. Buffered updates are still delivered.
+     */
+    end() {
+        if (this._done) return
+        this._done = true
+        this._unsubscribe()
+        if (this._waiting) {
+            const { rs } = this._waiting
+            this._waiting = null
+            rs({ value: undefined, done: true })
+        }
+    }
+
+    /**
+     * End the stream with an error, thrown to the consumer after the buffered updates.
+     * @param {Error} error
+     */
+    fail(error) {
+        if (this._done) return
+        if (this._waiting) {
+            const { rj } = this._waiting
+            this._waiting = null
+            rj(error)
+        } else {
+            this._error = error
+        }
+        this.end()
+    }
+
+    /**
+     * @returns {Promise<IteratorResult<object>>}
+     */
+    next() {
+        if (this._buffer.length > 0) return Promise.resolve({ value: this._buffer.shift(), done: false })
+        if (this._error) {
+            const error = this._error
+            this._error = null
+            return Promise.reject(error)
+        }
+        if (this._done) return Promise.resolve({ value: undefined, done: true })
+        return new Promise((rs, rj) => this._waiting = { rs, rj })
+    }
+
+    /**
+     * Stop consuming, e.g. on `break` out of `for await`. Buffered updates are discarded.
+     * @returns {Promise<IteratorResult<object>>}
+     */
+    return() {
+        this._buffer = []
+        this._error = null
+        this.end()
+        return Promise.resolve({ value: undefined, done: true })
+    }
+
+    [Symbol.asyncIterator]() {
+        return this
+    }
+}
+
+exports.UpdateStream = UpdateStream
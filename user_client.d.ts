@@ -0,0 +1,28 @@
+import { TdClientActor, TdClientActorOptions } from "./td_client_actor"
+import * as TdTypes from "./td_types";
+import { TdError } from "./errors";
+
+declare export interface UserClientOptions extends TdClientActorOptions {
+    /** Called when TDLib needs the phone number of the account. `error` is set when the previous number was rejected. */
+    getPhoneNumber: (error?: TdError) => string | Promise<string>;
+    /** Called when TDLib needs the authentication code. `error` is set when the previous code was rejected. */
+    getCode: (code_info: TdTypes.authenticationCodeInfo, error?: TdError) => string | Promise<string>;
+    /** Called when the account is protected by 2-Step Verification. */
+    getPassword?: (password_hint: string, error?: TdError) => string | Promise<string>;
+    /** Called when the phone number is not yet registered. */
+    getName?: (terms_of_service?: TdTypes.termsOfService) => { first_name: string, last_name?: string } | Promise<{ first_name: string, last_name?: string }>;
+    /** Pass true if the authentication code may be sent via flash call. */
+    allow_flash_call?: boolean;
+    /** Pass true if the phone number is used on the current device. */
+    is_current_phone_number?: boolean;
+}
+
+declare export class UserClient extends TdClientActor {
+    constructor(options: UserClientOptions);
+
+    ready: boolean;
+
+    addListener(event: 'auth_error', listener: (error: Error) => void): this;
+    on(event: 'auth_error', listener: (error: Error) => void): this;
+    once(event: 'auth_error', listener: (error: Error) => void): this;
+}
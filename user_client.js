@@ -0,0 +1,157 @@
+const { TdClientActor } = require('./td_client_actor')
+const { TdError, AuthCallbackError } = require('./errors')
+
+/**
+ * @callback GetPhoneNumberCallback
+ * @param {TdError} [error] Error of the previous attempt, if the last phone number was rejected.
+ * @returns {Promise<string>|string} Phone number in international format.
+ */
+
+/**
+ * @callback GetCodeCallback
+ * @param {object} code_info Information about the authentication code that was sent.
+ * @param {TdError} [error] Error of the previous attempt, if the last code was rejected.
+ * @returns {Promise<string>|string} Authentication code.
+ */
+
+/**
+ * @callback GetPasswordCallback
+ * @param {string} password_hint Hint for the password; may be empty.
+ * @param {TdError} [error] Error of the previous attempt, if the last password was rejected.
+ * @returns {Promise<string>|string} 2-Step Verification password.
+ */
+
+/**
+ * @callback GetNameCallback
+ * @param {object} [terms_of_service] Telegram terms of service which will be accepted on registration.
+ * @returns {Promise<{first_name: string, last_name?: string}>|{first_name: string, last_name?: string}}
+ */
+
+/**
+ * @typedef UserClientOptions
+ * @property {GetPhoneNumberCallback} getPhoneNumber Called when TDLib needs the phone number of the account.
+ * @property {GetCodeCallback} getCode Called when TDLib needs the authentication code.
+ * @property {GetPasswordCallback} [getPassword] Called when the account is protected by 2-Step Verification.
+ * @property {GetNameCallback} [getName] Called when the phone number is not yet registered.
+ * @property {boolean} [allow_flash_call] Pass true if the authentication code may be sent via flash call.
+ * @property {boolean} [is_current_phone_number] Pass true if the phone number is used on the current device.
+ */
+
+// Errors which mean the supplied input is wrong, so the callback gets another chance. Other errors can't be fixed by asking again.
+const invalid_input_errors = [
+    'PHONE_NUMBER_INVALID',
+    'PHONE_CODE_EMPTY',
+    'PHONE_CODE_INVALID',
+    'PASSWORD_HASH_INVALID',
+    'FIRSTNAME_INVALID',
+    'LASTNAME_INVALID'
+]
+
+/**
+ * User Account Interface
+ */
+class UserClient extends TdClientActor {
+    /**
+     * @param {TdClientActor.TdClientActorOptions & UserClientOptions} options
+     */
+    constructor(options) {
+        if (typeof options.getPhoneNumber !== 'function') throw new AuthCallbackError('getPhoneNumber', 'missing getPhoneNumber')
+        if (typeof options.getCode !== 'function') throw new AuthCallbackError('getCode', 'missing getCode')
+        super(options)
+        this.ready = false
+
+        this.on('__updateAuthorizationState', (update) => {
+            return this._processAuthorizationState(update.authorization_state)
+        })
+        this.once('ready', () => this.ready = true)
+    }
+
+    /**
+     * Answer the authorization states that require user interaction.
+     * @private
+     * @param {object} state
+     */
+    async _processAuthorizationState(state) {
+        const options = this._options
+        switch (state['@type']) {
+            case 'authorizationStateWaitPhoneNumber':
+                return this._runAuthStep(async (error) => this.run('setAuthenticationPhoneNumber', {
+                    phone_number: await options.getPhoneNumber(error),
+                    allow_flash_call: !!options.allow_flash_call,
+                    is_current_phone_number: !!options.is_current_phone_number
+                }))
+            case 'authorizationStateWaitCode':
+                return this._runAuthStep(async (error) => {
+                    const code = await options.getCode(state.code_info, error)
+                    const params = { code }
+                    // TDLib before 1.6 registers new accounts together with the code.
+                    if (state.is_registered === false) {
+                        Object.assign(params, await this._getName(state.terms_of_service))
+                    }
+                    return this.run('checkAuthenticationCode', params)
+                })
+            case 'authorizationStateWaitRegistration':
+                return this._runAuthStep(async () => this.run('registerUser', await this._getName(state.terms_of_service)))
+            case 'authorizationStateWaitPassword':
+                if (typeof options.getPassword !== 'function') {
+                    return this._failAuth(new AuthCallbackError('getPassword', 'account is protected by a password, but getPassword is not provided'))
+                }
+                return this._runAuthStep(async (error) => this.run('checkAuthenticationPassword', {
+                    password: await options.getPassword(state.password_hint, error)
+                }))
+        }
+    }
+
+    /**
+     * Run an authorization step, asking again while TDLib rejects the supplied input as invalid.
+     * Any other error ends the login with auth_error.
+     * @private
+     * @param {(error?: object) => Promise<any>} step
+     */
+    async _runAuthStep(step) {
+        const state = this._authorization_state
+        let last_error
+        for (;;) {
+            try {
+                return await step(last_error)
+            } catch (e) {
+                // TDLib moved on, e.g. back to the phone number after the code expired; the next state is handled on its own.
+                if (this._authorization_state !== state) return
+                if (e instanceof TdError && e.code === 400 && invalid_input_errors.indexOf(e.message) > -1) {
+                    last_error = e
+                    continue
+                }
+                return this._failAuth(e)
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @param {object} [terms_of_service]
+     */
+    async _getName(terms_of_service) {
+        if (typeof this._options.getName !== 'function') {
+            throw new AuthCallbackError('getName', 'phone number is not registered, but getName is not provided')
+        }
+        const { first_name, last_name } = await this._options.getName(terms_of_service)
+        return {
+            first_name,
+            last_name: last_name || ''
+        }
+    }
+
+    /**
+     * @private
+     * @param {Error|object} error
+     */
+    _failAuth(error) {
+        /**
+         * Authorization could not be completed.
+         * @event UserClient#auth_error
+         */
+        this.emit('auth_error', error)
+    }
+}
+
+exports.UserClient = UserClient
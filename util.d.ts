@@ -25,6 +25,13 @@ declare export function get_tdlib_message_id(msg_id: number): number;
  */
 declare export function get_api_message_id(msg_id: number): number;
 
+/**
+ * Extract the number of seconds to wait from a 429 Too Many Requests error
+ * @param error TDLib error
+ * @returns Seconds to wait, or null if the error is not a flood wait
+ */
+declare export function getRetryAfter(error: { code?: number, message?: string }): number | null;
+
 /**
  * Promise-based asynchoronous scrypt key derivation
  * @param password Password
@@ -36,4 +43,10 @@ declare export function scrypt(password: string | Buffer | Uint8Array | Uint8Cla
 
 declare export function fileExists()
 
+/**
+ * Remove a directory with all of its content. Does nothing if the directory does not exist.
+ * @param _path Directory path
+ */
+declare export function removeDirectory(_path: string): Promise<void>;
+
 export as namespace Utils;
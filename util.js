@@ -18,6 +18,13 @@ exports.get_api_message_id = (msg_id) => {
     else throw new Error(`Wrong message id. Expect ${result * Math.pow(2, 20)}, got ${parseInt(msg_id)}`)
 }
 
+exports.getRetryAfter = (error) => {
+    if (!error || typeof error.message !== 'string') return null
+    const match = error.message.match(/retry after (\d+)/i) || error.message.match(/FLOOD_WAIT_(\d+)/)
+    if (error.code != 429 && !match) return null
+    return match ? parseInt(match[1]) : null
+}
+
 exports.scrypt = (password, salt, keylen) => new Promise((rs, rj) => crypto.scrypt(password, salt, keylen, (err, derivedKey) => {
     if (err) rj(err)
     else rs(derivedKey) 
@@ -41,5 +48,18 @@ exports.fileExistsSync = (_path, mode = fs.constants.F_OK) => {
     }
 }
 
-
-
+exports.removeDirectory = async (_path) => {
+    let entries
+    try {
+        entries = await fsp.readdir(_path)
+    } catch (e) {
+        if (e.code === 'ENOENT') return
+        throw e
+    }
+    for (const entry of entries) {
+        const entry_path = path.join(_path, entry)
+        if ((await fsp.lstat(entry_path)).isDirectory()) await exports.removeDirectory(entry_path)
+        else await fsp.unlink(entry_path)
+    }
+    await fsp.rmdir(_path)
+}